@@ -3,10 +3,16 @@ dotenv.config();
 
 import { Client, GatewayIntentBits, Events, REST, Routes } from 'discord.js';
 import sequelize from './database.js';
+import { migrateUp, assertSchemaUpToDate } from './db/migrator.js';
 import { ensureRegisterMessage, setupRegister } from './register.js';
-import { ensureQueueMessage, setupQueue, getDodgeCommand } from './queue.js';
-import { getResetMatchCommand, getBanPlayerCommand, getUnbanPlayerCommand, getEditPlayerStatsCommand, getForceDodgeCommand } from './features/admin-commands.js';
-import { setupStats, getLeaderboardCommand, getStatsCommand, ensureStatsAndLeaderboardMessages } from './stats.js';
+import { ensureQueueMessage, setupQueue, restoreActiveMatches, restoreQueues } from './queue.js';
+import { getResetMatchCommand, getBanPlayerCommand, getUnbanPlayerCommand, getEditPlayerStatsCommand, getForceDodgeCommand, getResolveMatchCommand, getDodgeCommand } from './features/admin-commands.js';
+import { loadQueueConfigs, getQueueConfigCommand } from './features/queue-config.js';
+import { loadMapPool, getMapCommand } from './features/map-pool.js';
+import { setupSeasonCommands, getSeasonCommand } from './features/seasons.js';
+import { setupTournamentCommands, getTournamentCommand } from './features/tournaments.js';
+import { loadParties, setupPartyCommands, getPartyCommand } from './features/parties.js';
+import { setupStats, getLeaderboardCommand, getStatsCommand, getHistoryCommand, getCompareCommand, ensureStatsAndLeaderboardMessages } from './stats.js';
 import { setupTickets, getDeleteTicketCommand, getInvitePlayerTicketCommand, ensureTicketMessage } from './tickets.js';
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
@@ -21,6 +27,7 @@ const client = new Client({
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMembers,
     GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildVoiceStates,
     GatewayIntentBits.MessageContent
   ]
 });
@@ -30,16 +37,24 @@ client.once(Events.ClientReady, async () => {
   try {
     await sequelize.authenticate();
     console.log('DB connected');
-    if (process.env.DB_SYNC_ON_START === '1') {
-      console.log('Syncing DB schema (alter)...');
-      await sequelize.sync({ alter: true });
-      console.log('DB schema synced');
+    if (process.env.DB_MIGRATE_ON_START === '1') {
+      const applied = await migrateUp();
+      if (applied.length) console.log(`Applied ${applied.length} migration(s)`);
     }
+    await assertSchemaUpToDate();
+    console.log('DB schema up to date');
   } catch (err) {
-    console.error('DB connection failed:', err);
+    console.error('DB startup check failed:', err);
     setTimeout(() => process.exit(1), 2000);
+    return;
   }
 
+  try { await loadQueueConfigs(); } catch (err) { console.error('loadQueueConfigs error', err); }
+  try { await loadMapPool(); } catch (err) { console.error('loadMapPool error', err); }
+  try { await loadParties(); } catch (err) { console.error('loadParties error', err); }
+  try { await restoreActiveMatches(client); } catch (err) { console.error('restoreActiveMatches error', err); }
+  try { await restoreQueues(); } catch (err) { console.error('restoreQueues error', err); }
+
   for (const guild of client.guilds.cache.values()) {
     if (CLIENT_ID) {
       try {
@@ -47,6 +62,8 @@ client.once(Events.ClientReady, async () => {
         const commands = [
           getLeaderboardCommand().toJSON(), 
           getStatsCommand().toJSON(), 
+          getHistoryCommand().toJSON(),
+          getCompareCommand().toJSON(),
           getDeleteTicketCommand().toJSON(), 
           getInvitePlayerTicketCommand().toJSON(),
           getDodgeCommand().toJSON(),
@@ -54,7 +71,13 @@ client.once(Events.ClientReady, async () => {
           getBanPlayerCommand().toJSON(),
           getUnbanPlayerCommand().toJSON(),
           getEditPlayerStatsCommand().toJSON(),
-          getForceDodgeCommand().toJSON()
+          getForceDodgeCommand().toJSON(),
+          getResolveMatchCommand().toJSON(),
+          getQueueConfigCommand().toJSON(),
+          getMapCommand().toJSON(),
+          getSeasonCommand().toJSON(),
+          getTournamentCommand().toJSON(),
+          getPartyCommand().toJSON()
         ];
         await rest.put(Routes.applicationGuildCommands(CLIENT_ID, guild.id), { body: commands });
         console.log(`Slash commands registered for guild ${guild.name}`);
@@ -80,6 +103,9 @@ process.on('unhandledRejection', err => {
 setupRegister(client);
 setupQueue(client);
 setupStats(client);
+setupSeasonCommands(client);
+setupTournamentCommands(client);
+setupPartyCommands(client);
 setupTickets(client);
 
 client.login(BOT_TOKEN);
@@ -0,0 +1,18 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import sequelize from '../database.js';
+import { migrateUp } from './migrator.js';
+
+(async () => {
+  try {
+    console.log('Connecting to DB...');
+    await sequelize.authenticate();
+    const applied = await migrateUp();
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : 'Schema already up to date.');
+  } catch (err) {
+    console.error('DB migrate error:', err);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+})();
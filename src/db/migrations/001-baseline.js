@@ -0,0 +1,182 @@
+/**
+ * Baseline schema: every table as it was when migrations were introduced.
+ * Databases previously managed with sequelize.sync() already have these tables,
+ * so existing tables only get the columns and indexes they are missing.
+ */
+
+const id = DataTypes => ({ type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false });
+const timestamps = DataTypes => ({
+  createdAt: { type: DataTypes.DATE, allowNull: false },
+  updatedAt: { type: DataTypes.DATE, allowNull: false }
+});
+const reference = (DataTypes, table) => ({
+  type: DataTypes.INTEGER,
+  references: { model: table, key: 'id' },
+  onUpdate: 'CASCADE',
+  onDelete: 'SET NULL'
+});
+
+function tables(DataTypes) {
+  return {
+    users: {
+      id: id(DataTypes),
+      discordId: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+      username: { type: DataTypes.STRING(100), allowNull: false, unique: true },
+      points: { type: DataTypes.INTEGER, defaultValue: 1000 },
+      wins: { type: DataTypes.INTEGER, defaultValue: 0 },
+      losses: { type: DataTypes.INTEGER, defaultValue: 0 },
+      ratingDeviation: { type: DataTypes.FLOAT, defaultValue: 350 },
+      volatility: { type: DataTypes.FLOAT, defaultValue: 0.06 },
+      registeredAt: { type: DataTypes.DATE },
+      ...timestamps(DataTypes)
+    },
+    matches: {
+      id: id(DataTypes),
+      channelId: { type: DataTypes.STRING(64), allowNull: false },
+      status: { type: DataTypes.STRING(30), defaultValue: 'draft' },
+      guildId: { type: DataTypes.STRING(64) },
+      queueName: { type: DataTypes.STRING(64) },
+      phase: { type: DataTypes.STRING(30) },
+      availableMaps: { type: DataTypes.JSONB, defaultValue: [] },
+      bannedMaps: { type: DataTypes.JSONB, defaultValue: [] },
+      mapName: { type: DataTypes.STRING(50) },
+      voteStartTime: { type: DataTypes.DATE },
+      draftMessageId: { type: DataTypes.STRING(64) },
+      banMessageId: { type: DataTypes.STRING(64) },
+      voteMessageId: { type: DataTypes.STRING(64) },
+      winnerTeamId: { type: DataTypes.INTEGER },
+      finishedAt: { type: DataTypes.DATE },
+      durationMs: { type: DataTypes.INTEGER },
+      voteTally: { type: DataTypes.JSONB },
+      evidenceUrl: { type: DataTypes.STRING(1024) },
+      evidenceUploaderId: { type: DataTypes.STRING(64) },
+      ...timestamps(DataTypes)
+    },
+    teams: {
+      id: id(DataTypes),
+      name: { type: DataTypes.STRING(50), allowNull: false },
+      captainDiscordId: { type: DataTypes.STRING(64) },
+      matchId: reference(DataTypes, 'matches')
+    },
+    match_players: {
+      id: id(DataTypes),
+      discordId: { type: DataTypes.STRING(64), allowNull: false },
+      pickOrder: { type: DataTypes.INTEGER },
+      matchId: reference(DataTypes, 'matches'),
+      teamId: reference(DataTypes, 'teams')
+    },
+    votes: {
+      id: id(DataTypes),
+      voterDiscordId: { type: DataTypes.STRING(64), allowNull: false },
+      voteForTeamId: { type: DataTypes.INTEGER, allowNull: false },
+      matchId: reference(DataTypes, 'matches'),
+      ...timestamps(DataTypes)
+    },
+    queue_entries: {
+      id: id(DataTypes),
+      guildId: { type: DataTypes.STRING(64), allowNull: false },
+      queueName: { type: DataTypes.STRING(64), allowNull: false },
+      discordId: { type: DataTypes.STRING(64), allowNull: false },
+      joinedAt: { type: DataTypes.DATE }
+    },
+    sanctions: {
+      id: id(DataTypes),
+      discordId: { type: DataTypes.STRING(64), allowNull: false },
+      type: { type: DataTypes.STRING(30), allowNull: false },
+      reason: { type: DataTypes.STRING(255) },
+      issuedBy: { type: DataTypes.STRING(64) },
+      expiresAt: { type: DataTypes.DATE, allowNull: false },
+      active: { type: DataTypes.BOOLEAN, defaultValue: true },
+      ...timestamps(DataTypes)
+    },
+    rating_changes: {
+      id: id(DataTypes),
+      before: { type: DataTypes.INTEGER, allowNull: false },
+      after: { type: DataTypes.INTEGER, allowNull: false },
+      delta: { type: DataTypes.INTEGER, allowNull: false },
+      reason: { type: DataTypes.STRING(30), allowNull: false },
+      userId: reference(DataTypes, 'users'),
+      matchId: reference(DataTypes, 'matches'),
+      createdAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    queue_configs: {
+      id: id(DataTypes),
+      channelName: { type: DataTypes.STRING(100), allowNull: false, unique: true },
+      displayName: { type: DataTypes.STRING(100), allowNull: false },
+      description: { type: DataTypes.STRING(255) },
+      teamSize: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 3 },
+      pickOrder: { type: DataTypes.STRING(20), defaultValue: 'snake' },
+      teamMode: { type: DataTypes.STRING(20), defaultValue: 'draft' },
+      penalizeRecentTeammates: { type: DataTypes.BOOLEAN, defaultValue: false },
+      requireEvidence: { type: DataTypes.BOOLEAN, defaultValue: false },
+      requiredRoles: { type: DataTypes.JSONB, defaultValue: [] },
+      minPoints: { type: DataTypes.INTEGER },
+      maxPoints: { type: DataTypes.INTEGER },
+      sortOrder: { type: DataTypes.INTEGER, defaultValue: 0 },
+      ...timestamps(DataTypes)
+    },
+    seasons: {
+      id: id(DataTypes),
+      number: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+      name: { type: DataTypes.STRING(100) },
+      startedAt: { type: DataTypes.DATE, allowNull: false },
+      endedAt: { type: DataTypes.DATE },
+      resetFactor: { type: DataTypes.FLOAT },
+      ...timestamps(DataTypes)
+    },
+    season_results: {
+      id: id(DataTypes),
+      discordId: { type: DataTypes.STRING(64), allowNull: false },
+      username: { type: DataTypes.STRING(100) },
+      position: { type: DataTypes.INTEGER, allowNull: false },
+      points: { type: DataTypes.INTEGER, allowNull: false },
+      wins: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      losses: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      rank: { type: DataTypes.STRING(30) },
+      seasonId: reference(DataTypes, 'seasons'),
+      createdAt: { type: DataTypes.DATE, allowNull: false }
+    }
+  };
+}
+
+// Same names sequelize.sync() gives these indexes, so synced databases are not indexed twice
+const INDEXES = [
+  { table: 'matches', name: 'matches_status', columns: ['status'] },
+  { table: 'match_players', name: 'match_players_match_id', columns: ['matchId'] },
+  { table: 'votes', name: 'votes_match_id', columns: ['matchId'] },
+  { table: 'votes', name: 'votes_voter_discord_id', columns: ['voterDiscordId'] },
+  { table: 'queue_entries', name: 'queue_entries_guild_id_discord_id', columns: ['guildId', 'discordId'], unique: true },
+  { table: 'queue_entries', name: 'queue_entries_guild_id_queue_name', columns: ['guildId', 'queueName'] },
+  { table: 'sanctions', name: 'sanctions_discord_id', columns: ['discordId'] },
+  { table: 'sanctions', name: 'sanctions_active_expires_at', columns: ['active', 'expiresAt'] },
+  { table: 'rating_changes', name: 'rating_changes_user_id_created_at', columns: ['userId', 'createdAt'] },
+  { table: 'rating_changes', name: 'rating_changes_match_id', columns: ['matchId'] },
+  { table: 'season_results', name: 'season_results_season_id_discord_id', columns: ['seasonId', 'discordId'], unique: true },
+  { table: 'season_results', name: 'season_results_season_id_position', columns: ['seasonId', 'position'] }
+];
+
+export async function up({ queryInterface, sequelize, DataTypes, transaction }) {
+  const existingTables = new Set((await queryInterface.showAllTables({ transaction })).map(t => t.tableName || t));
+
+  for (const [table, columns] of Object.entries(tables(DataTypes))) {
+    if (!existingTables.has(table)) {
+      await queryInterface.createTable(table, columns, { transaction });
+      continue;
+    }
+    const existingColumns = await queryInterface.describeTable(table, { transaction });
+    for (const [column, definition] of Object.entries(columns)) {
+      if (!existingColumns[column]) await queryInterface.addColumn(table, column, definition, { transaction });
+    }
+  }
+
+  for (const index of INDEXES) {
+    const columns = index.columns.map(c => `"${c}"`).join(', ');
+    await sequelize.query(`CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${index.name}" ON "${index.table}" (${columns})`, { transaction });
+  }
+}
+
+export async function down({ queryInterface, DataTypes, transaction }) {
+  for (const table of Object.keys(tables(DataTypes)).reverse()) {
+    await queryInterface.dropTable(table, { transaction, cascade: true });
+  }
+}
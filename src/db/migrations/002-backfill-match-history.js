@@ -0,0 +1,49 @@
+/**
+ * Backfill the match history columns (winner, finish time, duration, vote tally)
+ * of matches finished before they were recorded
+ */
+
+// Finished matches recorded before these columns existed get them back from
+// the votes and the rating history (matches older than both stay unknown)
+const BACKFILL_QUERIES = [
+  ['vote tally', `
+    UPDATE matches m SET "voteTally" = json_build_object(
+      'A', (SELECT COUNT(*) FROM votes v JOIN teams t ON t.id = v."voteForTeamId" WHERE v."matchId" = m.id AND t.name = 'Team A'),
+      'B', (SELECT COUNT(*) FROM votes v JOIN teams t ON t.id = v."voteForTeamId" WHERE v."matchId" = m.id AND t.name = 'Team B')
+    )
+    WHERE m.status = 'done' AND m."voteTally" IS NULL`],
+  ['winner from rating history', `
+    UPDATE matches m SET "winnerTeamId" = mp."teamId"
+    FROM rating_changes rc
+    JOIN users u ON u.id = rc."userId"
+    JOIN match_players mp ON mp."matchId" = rc."matchId" AND mp."discordId" = u."discordId"
+    WHERE rc."matchId" = m.id AND rc.reason = 'win' AND mp."teamId" IS NOT NULL
+      AND m.status = 'done' AND m."winnerTeamId" IS NULL`],
+  ['winner from votes', `
+    UPDATE matches m SET "winnerTeamId" = t.id
+    FROM teams t
+    WHERE t."matchId" = m.id AND m.status = 'done' AND m."winnerTeamId" IS NULL
+      AND t.name = CASE
+        WHEN (m."voteTally"->>'A')::int > (m."voteTally"->>'B')::int THEN 'Team A'
+        WHEN (m."voteTally"->>'B')::int > (m."voteTally"->>'A')::int THEN 'Team B'
+      END`],
+  ['finish time', `
+    UPDATE matches m SET "finishedAt" = COALESCE(
+      (SELECT MAX(rc."createdAt") FROM rating_changes rc WHERE rc."matchId" = m.id),
+      m."updatedAt"
+    )
+    WHERE m.status = 'done' AND m."finishedAt" IS NULL`],
+  ['duration', `
+    UPDATE matches SET "durationMs" = (EXTRACT(EPOCH FROM ("finishedAt" - "createdAt")) * 1000)::int
+    WHERE "finishedAt" IS NOT NULL AND "durationMs" IS NULL`]
+];
+
+export async function up({ sequelize, transaction }) {
+  for (const [label, sql] of BACKFILL_QUERIES) {
+    const [, result] = await sequelize.query(sql, { transaction });
+    console.log(`[Migrate] Backfilled ${label}: ${result?.rowCount ?? 0} match(es)`);
+  }
+}
+
+// Data only: the backfilled values are left in place
+export async function down() {}
@@ -0,0 +1,15 @@
+/**
+ * Dodge offence log: link dodge sanctions to their match and the points lost
+ */
+
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.addColumn('sanctions', 'matchId', { type: DataTypes.INTEGER }, { transaction });
+  await queryInterface.addColumn('sanctions', 'pointsLost', { type: DataTypes.INTEGER, defaultValue: 0 }, { transaction });
+  await queryInterface.addIndex('sanctions', ['discordId', 'type', 'createdAt'], { name: 'sanctions_discord_id_type_created_at', transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.removeIndex('sanctions', 'sanctions_discord_id_type_created_at', { transaction });
+  await queryInterface.removeColumn('sanctions', 'pointsLost', { transaction });
+  await queryInterface.removeColumn('sanctions', 'matchId', { transaction });
+}
@@ -0,0 +1,11 @@
+/**
+ * Per-queue max wait time before idle players are asked to confirm
+ */
+
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.addColumn('queue_configs', 'maxWaitMinutes', { type: DataTypes.INTEGER }, { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.removeColumn('queue_configs', 'maxWaitMinutes', { transaction });
+}
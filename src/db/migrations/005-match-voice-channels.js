@@ -0,0 +1,13 @@
+/**
+ * Team voice channels of a match, so they can be cleaned up after a restart
+ */
+
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.addColumn('matches', 'voiceChannelAId', { type: DataTypes.STRING(64) }, { transaction });
+  await queryInterface.addColumn('matches', 'voiceChannelBId', { type: DataTypes.STRING(64) }, { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.removeColumn('matches', 'voiceChannelBId', { transaction });
+  await queryInterface.removeColumn('matches', 'voiceChannelAId', { transaction });
+}
@@ -0,0 +1,22 @@
+/**
+ * Map pools, previously hard-coded in queue.js (seeded by the bot on first start)
+ */
+
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('game_maps', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    name: { type: DataTypes.STRING(40), allowNull: false },
+    queueName: { type: DataTypes.STRING(100) },
+    enabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    imageUrl: { type: DataTypes.STRING(500) },
+    emojiName: { type: DataTypes.STRING(64) },
+    sortOrder: { type: DataTypes.INTEGER, defaultValue: 0 },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false }
+  }, { transaction });
+  await queryInterface.addIndex('game_maps', ['name', 'queueName'], { name: 'game_maps_name_queue_name', unique: true, transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('game_maps', { transaction });
+}
@@ -0,0 +1,17 @@
+/**
+ * Per-queue map veto formats, and the veto played for each match
+ */
+
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.addColumn('queue_configs', 'vetoFormat', { type: DataTypes.STRING(255) }, { transaction });
+  await queryInterface.addColumn('matches', 'vetoFormat', { type: DataTypes.STRING(255) }, { transaction });
+  await queryInterface.addColumn('matches', 'vetoLog', { type: DataTypes.JSONB, defaultValue: [] }, { transaction });
+  await queryInterface.addColumn('matches', 'selectedMaps', { type: DataTypes.JSONB, defaultValue: [] }, { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.removeColumn('matches', 'selectedMaps', { transaction });
+  await queryInterface.removeColumn('matches', 'vetoLog', { transaction });
+  await queryInterface.removeColumn('matches', 'vetoFormat', { transaction });
+  await queryInterface.removeColumn('queue_configs', 'vetoFormat', { transaction });
+}
@@ -0,0 +1,42 @@
+/**
+ * Best-of-N series: one match_games row per game played, votes per game
+ */
+
+export async function up({ queryInterface, sequelize, DataTypes, transaction }) {
+  await queryInterface.createTable('match_games', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+    gameNumber: { type: DataTypes.INTEGER, allowNull: false },
+    mapName: { type: DataTypes.STRING(50) },
+    winnerTeamId: { type: DataTypes.INTEGER },
+    voteTally: { type: DataTypes.JSONB },
+    evidenceUrl: { type: DataTypes.STRING(1024) },
+    finishedAt: { type: DataTypes.DATE },
+    matchId: {
+      type: DataTypes.INTEGER,
+      references: { model: 'matches', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false }
+  }, { transaction });
+  await queryInterface.addIndex('match_games', ['matchId', 'gameNumber'], { name: 'match_games_match_id_game_number', unique: true, transaction });
+
+  await queryInterface.addColumn('queue_configs', 'bestOf', { type: DataTypes.INTEGER, defaultValue: 1 }, { transaction });
+  await queryInterface.addColumn('matches', 'bestOf', { type: DataTypes.INTEGER, defaultValue: 1 }, { transaction });
+  await queryInterface.addColumn('votes', 'gameNumber', { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 }, { transaction });
+
+  // Every finished match so far was a single game
+  const [, result] = await sequelize.query(`
+    INSERT INTO match_games ("matchId", "gameNumber", "mapName", "winnerTeamId", "voteTally", "evidenceUrl", "finishedAt", "createdAt", "updatedAt")
+    SELECT id, 1, "mapName", "winnerTeamId", "voteTally", "evidenceUrl", "finishedAt", NOW(), NOW()
+    FROM matches WHERE status = 'done'`, { transaction });
+  console.log(`[Migrate] Backfilled ${result?.rowCount ?? 0} single-game match(es)`);
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.removeColumn('votes', 'gameNumber', { transaction });
+  await queryInterface.removeColumn('matches', 'bestOf', { transaction });
+  await queryInterface.removeColumn('queue_configs', 'bestOf', { transaction });
+  await queryInterface.dropTable('match_games', { transaction });
+}
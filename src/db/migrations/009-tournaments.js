@@ -0,0 +1,74 @@
+/**
+ * Tournaments: registrations and elimination brackets
+ */
+
+const timestamps = DataTypes => ({
+  createdAt: { type: DataTypes.DATE, allowNull: false },
+  updatedAt: { type: DataTypes.DATE, allowNull: false }
+});
+const reference = (DataTypes, table, onDelete) => ({
+  type: DataTypes.INTEGER,
+  references: { model: table, key: 'id' },
+  onUpdate: 'CASCADE',
+  onDelete
+});
+
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('tournaments', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+    guildId: { type: DataTypes.STRING(64), allowNull: false },
+    name: { type: DataTypes.STRING(100), allowNull: false },
+    format: { type: DataTypes.STRING(10), allowNull: false, defaultValue: 'single' },
+    teamSize: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 3 },
+    bestOf: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+    queueName: { type: DataTypes.STRING(100) },
+    status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: 'registration' },
+    messageId: { type: DataTypes.STRING(64) },
+    winnerEntryId: { type: DataTypes.INTEGER },
+    startedAt: { type: DataTypes.DATE },
+    finishedAt: { type: DataTypes.DATE },
+    ...timestamps(DataTypes)
+  }, { transaction });
+  await queryInterface.addIndex('tournaments', ['guildId', 'status'], { name: 'tournaments_guild_id_status', transaction });
+
+  await queryInterface.createTable('tournament_entries', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+    name: { type: DataTypes.STRING(100), allowNull: false },
+    memberIds: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+    premade: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    seed: { type: DataTypes.INTEGER },
+    seedPoints: { type: DataTypes.INTEGER },
+    tournamentId: reference(DataTypes, 'tournaments', 'CASCADE'),
+    ...timestamps(DataTypes)
+  }, { transaction });
+  await queryInterface.addIndex('tournament_entries', ['tournamentId'], { name: 'tournament_entries_tournament_id', transaction });
+
+  await queryInterface.createTable('tournament_matches', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+    number: { type: DataTypes.INTEGER, allowNull: false },
+    bracket: { type: DataTypes.STRING(10), allowNull: false },
+    round: { type: DataTypes.INTEGER, allowNull: false },
+    position: { type: DataTypes.INTEGER, allowNull: false },
+    entryAId: { type: DataTypes.INTEGER },
+    entryBId: { type: DataTypes.INTEGER },
+    byeSlot: { type: DataTypes.STRING(4) },
+    winnerEntryId: { type: DataTypes.INTEGER },
+    loserEntryId: { type: DataTypes.INTEGER },
+    status: { type: DataTypes.STRING(10), allowNull: false, defaultValue: 'pending' },
+    winnerNextNumber: { type: DataTypes.INTEGER },
+    winnerNextSlot: { type: DataTypes.STRING(1) },
+    loserNextNumber: { type: DataTypes.INTEGER },
+    loserNextSlot: { type: DataTypes.STRING(1) },
+    tournamentId: reference(DataTypes, 'tournaments', 'CASCADE'),
+    matchId: reference(DataTypes, 'matches', 'SET NULL'),
+    ...timestamps(DataTypes)
+  }, { transaction });
+  await queryInterface.addIndex('tournament_matches', ['tournamentId', 'number'], { name: 'tournament_matches_tournament_id_number', unique: true, transaction });
+  await queryInterface.addIndex('tournament_matches', ['matchId'], { name: 'tournament_matches_match_id', transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('tournament_matches', { transaction });
+  await queryInterface.dropTable('tournament_entries', { transaction });
+  await queryInterface.dropTable('tournaments', { transaction });
+}
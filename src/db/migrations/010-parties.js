@@ -0,0 +1,37 @@
+/**
+ * Parties: premade groups that queue together
+ */
+
+const timestamps = DataTypes => ({
+  createdAt: { type: DataTypes.DATE, allowNull: false },
+  updatedAt: { type: DataTypes.DATE, allowNull: false }
+});
+
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('parties', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+    guildId: { type: DataTypes.STRING(64), allowNull: false },
+    leaderId: { type: DataTypes.STRING(64), allowNull: false },
+    ...timestamps(DataTypes)
+  }, { transaction });
+
+  await queryInterface.createTable('party_members', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+    guildId: { type: DataTypes.STRING(64), allowNull: false },
+    discordId: { type: DataTypes.STRING(64), allowNull: false },
+    partyId: {
+      type: DataTypes.INTEGER,
+      references: { model: 'parties', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    ...timestamps(DataTypes)
+  }, { transaction });
+  await queryInterface.addIndex('party_members', ['guildId', 'discordId'], { name: 'party_members_guild_id_discord_id', unique: true, transaction });
+  await queryInterface.addIndex('party_members', ['partyId'], { name: 'party_members_party_id', transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('party_members', { transaction });
+  await queryInterface.dropTable('parties', { transaction });
+}
@@ -0,0 +1,16 @@
+/**
+ * Seed the glicko2 rating deviation of players who have only been rated by Elo,
+ * from their games played (350 for new players, down to 60 after 29 games),
+ * so switching RATING_ENGINE does not treat veterans as new players
+ */
+
+export async function up({ sequelize, transaction }) {
+  const [, result] = await sequelize.query(`
+    UPDATE users SET "ratingDeviation" = GREATEST(60, 350 - 10 * (COALESCE(wins, 0) + COALESCE(losses, 0)))
+    WHERE ("ratingDeviation" IS NULL OR "ratingDeviation" >= 350)
+      AND COALESCE(wins, 0) + COALESCE(losses, 0) > 0`, { transaction });
+  console.log(`[Migrate] Seeded rating deviation: ${result?.rowCount ?? 0} player(s)`);
+}
+
+// Data only: the seeded values are left in place
+export async function down() {}
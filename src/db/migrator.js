@@ -0,0 +1,104 @@
+/**
+ * Migration runner
+ * Applies the versioned migrations in src/db/migrations in file name order and
+ * records each applied one in the SequelizeMeta table. Every migration exports
+ * `up` and `down`, both called with { queryInterface, sequelize, DataTypes, transaction }.
+ */
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const META_TABLE = 'SequelizeMeta';
+
+async function ensureMetaTable() {
+  await sequelize.getQueryInterface().createTable(META_TABLE, {
+    name: { type: DataTypes.STRING(255), allowNull: false, primaryKey: true }
+  });
+}
+
+/**
+ * Migration names available in the code, oldest first
+ */
+export async function getMigrationNames() {
+  const files = await readdir(MIGRATIONS_DIR);
+  return files.filter(f => f.endsWith('.js')).sort().map(f => f.replace(/\.js$/, ''));
+}
+
+/**
+ * Migration names recorded as applied in the database, oldest first
+ */
+export async function getAppliedMigrations() {
+  await ensureMetaTable();
+  const [rows] = await sequelize.query(`SELECT name FROM "${META_TABLE}" ORDER BY name`);
+  return rows.map(r => r.name);
+}
+
+/**
+ * Migrations not applied yet, oldest first
+ */
+export async function getPendingMigrations() {
+  const applied = new Set(await getAppliedMigrations());
+  return (await getMigrationNames()).filter(name => !applied.has(name));
+}
+
+async function runMigration(name, direction) {
+  const migration = await import(pathToFileURL(path.join(MIGRATIONS_DIR, `${name}.js`)).href);
+  const queryInterface = sequelize.getQueryInterface();
+  await sequelize.transaction(async (transaction) => {
+    await migration[direction]({ queryInterface, sequelize, DataTypes, transaction });
+    if (direction === 'up') {
+      await sequelize.query(`INSERT INTO "${META_TABLE}" (name) VALUES (:name)`, { replacements: { name }, transaction });
+    } else {
+      await sequelize.query(`DELETE FROM "${META_TABLE}" WHERE name = :name`, { replacements: { name }, transaction });
+    }
+  });
+}
+
+/**
+ * Apply every pending migration
+ * @returns {Promise<string[]>} Names of the migrations applied
+ */
+export async function migrateUp() {
+  const pending = await getPendingMigrations();
+  for (const name of pending) {
+    console.log(`[Migrate] Applying ${name}`);
+    await runMigration(name, 'up');
+  }
+  return pending;
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} [steps] - Number of migrations to revert (Infinity = all)
+ * @returns {Promise<string[]>} Names of the migrations reverted
+ */
+export async function migrateDown(steps = 1) {
+  const available = new Set(await getMigrationNames());
+  const toRevert = (await getAppliedMigrations()).reverse().slice(0, steps);
+  for (const name of toRevert) {
+    if (!available.has(name)) throw new Error(`Migration ${name} is applied but missing from ${MIGRATIONS_DIR}`);
+    console.log(`[Migrate] Reverting ${name}`);
+    await runMigration(name, 'down');
+  }
+  return toRevert;
+}
+
+/**
+ * Fail unless the database is at the latest migration known to the code
+ */
+export async function assertSchemaUpToDate() {
+  const available = await getMigrationNames();
+  const applied = await getAppliedMigrations();
+
+  const pending = available.filter(name => !applied.includes(name));
+  if (pending.length) {
+    throw new Error(`Database schema is out of date, ${pending.length} pending migration(s): ${pending.join(', ')}. Run \`npm run db:migrate\`.`);
+  }
+  const unknown = applied.filter(name => !available.includes(name));
+  if (unknown.length) {
+    console.warn(`[Migrate] Database has migrations this version does not know about: ${unknown.join(', ')}`);
+  }
+}
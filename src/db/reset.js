@@ -1,17 +1,26 @@
 import dotenv from 'dotenv';
 dotenv.config();
-import { sequelize } from '../models/index.js';
+import sequelize from '../database.js';
+import { migrateDown, migrateUp } from './migrator.js';
+
+// Destroys every row: only runs with --force (npm run db:reset -- --force)
+const force = process.argv.includes('--force');
 
 (async () => {
   try {
+    if (!force) {
+      console.error('This drops every table and all data. Re-run with --force to confirm.');
+      process.exitCode = 1;
+      return;
+    }
     console.log('Connecting to DB...');
     await sequelize.authenticate();
-    console.log('Connection OK. Dropping all tables...');
-    await sequelize.drop();
+    console.log('Connection OK. Reverting all migrations...');
+    await migrateDown(Infinity);
     console.log('✅ All tables dropped!');
-    
-    console.log('Creating new tables...');
-    await sequelize.sync({ force: true });
+
+    console.log('Re-applying migrations...');
+    await migrateUp();
     console.log('✅ Database reset successfully!');
   } catch (err) {
     console.error('DB reset error:', err);
@@ -0,0 +1,22 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import sequelize from '../database.js';
+import { migrateDown } from './migrator.js';
+
+// Usage: npm run db:rollback [-- <steps>]  (default: the last migration)
+const steps = Number(process.argv[2] || 1);
+
+(async () => {
+  try {
+    if (!Number.isInteger(steps) || steps < 1) throw new Error(`Invalid number of steps: ${process.argv[2]}`);
+    console.log('Connecting to DB...');
+    await sequelize.authenticate();
+    const reverted = await migrateDown(steps);
+    console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : 'No migration to revert.');
+  } catch (err) {
+    console.error('DB rollback error:', err);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+})();
@@ -9,15 +9,38 @@ import {
   ActionRowBuilder 
 } from "discord.js";
 import { Match, User } from "../models/index.js";
-import { syncPlayerRank, getRankByPoints } from "../queue.js";
+import { syncPlayerRank, getRankByPoints, recordGameResult, closeMatch, cancelMatch } from "../queue.js";
+import { issueSanction, getActiveSanction, liftSanctions } from "../utils/sanctions.js";
+import { recordRatingChange } from "../utils/rating-history.js";
+import { applyDodgePenalty, compensateDodgeVictims, parseDuration, formatDuration } from "../utils/dodge-penalties.js";
 
-const DODGE_BAN_DURATION = 60 * 60 * 1000; // 1 hour in ms
 const DODGE_TIME_LIMIT = 5 * 60 * 1000; // 5 minutes in ms
 
+/**
+ * Apply the escalating dodge penalty, compensate the other players and sync everyone's rank
+ * @returns {Promise<string>} Penalty summary for the cancellation message
+ */
+async function penalizeDodge(guild, state, dodgerId, { type, reason, issuedBy = null }) {
+  const { offenceCount, durationMs, pointsLost } = await applyDodgePenalty({ discordId: dodgerId, type, matchId: state.matchId, reason, issuedBy });
+  const otherIds = [...state.players].filter(id => id !== dodgerId);
+  const compensation = await compensateDodgeVictims(otherIds, state.matchId);
+
+  for (const id of [dodgerId, ...(compensation ? otherIds : [])]) {
+    const user = await User.findOne({ where: { discordId: id } }).catch(() => null);
+    if (user) await syncPlayerRank(guild, id, user.points);
+  }
+
+  let summary = `Offence #${offenceCount}: banned from queue for ${formatDuration(durationMs)}`;
+  if (pointsLost > 0) summary += ` and -${pointsLost} points`;
+  summary += '.';
+  if (compensation) summary += ` The other players receive +${compensation} points.`;
+  return summary;
+}
+
 /**
  * Setup all admin commands handlers
  */
-export function setupAdminCommands(client, dodgeBans, matches, voteUpdateQueues) {
+export function setupAdminCommands(client, matches) {
   // Handle /ban-player command (admin only)
   client.on(Events.InteractionCreate, async (interaction) => {
     if (!interaction.isChatInputCommand()) return;
@@ -34,22 +57,19 @@ export function setupAdminCommands(client, dodgeBans, matches, voteUpdateQueues)
       const durationStr = interaction.options.getString('duration');
 
       // Parse duration (2h, 3h, 1j, 30m, etc.)
-      const match = durationStr.match(/^(\d+)(m|h|j|d)$/i);
-      if (!match) {
+      const durationMs = parseDuration(durationStr);
+      if (!durationMs) {
         await interaction.reply({ content: 'Invalid duration format. Use: 30m, 2h, 1j (m=minutes, h=hours, j/d=days)', flags: MessageFlags.Ephemeral });
         return;
       }
 
-      const value = parseInt(match[1]);
-      const unit = match[2].toLowerCase();
-      let durationMs = 0;
-
-      if (unit === 'm') durationMs = value * 60 * 1000;
-      else if (unit === 'h') durationMs = value * 60 * 60 * 1000;
-      else if (unit === 'j' || unit === 'd') durationMs = value * 24 * 60 * 60 * 1000;
-
-      const banExpiry = Date.now() + durationMs;
-      dodgeBans.set(targetUser.id, { timestamp: banExpiry, createdAt: Date.now() });
+      await issueSanction({
+        discordId: targetUser.id,
+        type: 'ban',
+        durationMs,
+        reason: `Banned by admin for ${durationStr}`,
+        issuedBy: interaction.user.id
+      });
 
       // Post to #bann channel
       try {
@@ -92,25 +112,86 @@ export function setupAdminCommands(client, dodgeBans, matches, voteUpdateQueues)
         return;
       }
 
-      // Mark match as cancelled in DB
-      if (state.matchId) {
-        await Match.update({ status: 'cancelled' }, { where: { id: state.matchId } }).catch(() => {});
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral }).catch(() => {});
+      const replayed = await cancelMatch(client, channel, state);
+      await interaction.editReply({ content: `Match in ${channel} has been reset. Channel will be deleted in 5 seconds.${replayed ? ` Tournament match M${replayed} starts again in a new channel.` : ''}` });
+
+    } catch (err) {
+      console.error('Reset match error:', err);
+      if (interaction.deferred) {
+        await interaction.editReply({ content: 'Error resetting match.' }).catch(() => {});
+      } else {
+        await interaction.reply({ content: 'Error resetting match.', flags: MessageFlags.Ephemeral }).catch(() => {});
+      }
+    }
+  });
+
+  // Handle /resolve-match command (admin only)
+  client.on(Events.InteractionCreate, async (interaction) => {
+    if (!interaction.isChatInputCommand()) return;
+    if (interaction.commandName !== 'resolve-match') return;
+
+    try {
+      const isAdmin = interaction.member.roles.cache.some(r => r.name.toLowerCase() === 'admin') || interaction.user.id === interaction.guild.ownerId;
+      if (!isAdmin) {
+        await interaction.reply({ content: 'Only admins can resolve matches.', flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral }).catch(() => {});
+
+      const matchId = interaction.options.getInteger('match');
+      const winner = interaction.options.getString('winner');
+      const entry = [...matches.entries()].find(([, s]) => s.matchId === matchId);
+
+      if (!entry) {
+        const match = await Match.findByPk(matchId).catch(() => null);
+        const reason = match ? `is already ${match.status}` : 'does not exist';
+        await interaction.editReply({ content: `Match #${matchId} ${reason}.` });
+        return;
       }
 
-      // Clean up
-      matches.delete(channel.id);
-      voteUpdateQueues.delete(state.matchId);
+      const [channelId, state] = entry;
+      const channel = await interaction.guild.channels.fetch(channelId).catch(() => null);
+      if (!channel) {
+        await interaction.editReply({ content: `Game channel of match #${matchId} not found.` });
+        return;
+      }
+      // Only results the players could not settle themselves
+      if (state.phase !== 'VOTE' && state.phase !== 'DISPUTED') {
+        await interaction.editReply({ content: `Match #${matchId} is still in its ${state.phase === 'PICK' ? 'draft' : 'map veto'}. Use \`/reset-match\` to cancel it.` });
+        return;
+      }
 
-      await interaction.reply({ content: `Match in ${channel} has been reset. Channel will be deleted in 5 seconds.`, flags: MessageFlags.Ephemeral });
+      if (winner === 'void') {
+        await channel.send(`**Match voided** by <@${interaction.user.id}>. No points awarded.`).catch(() => {});
+        const replayed = await cancelMatch(client, channel, state);
+        await interaction.editReply({ content: `Match #${matchId} voided.${replayed ? ` Tournament match M${replayed} starts again in a new channel.` : ''}` });
+        return;
+      }
 
-      // Delete channel
-      setTimeout(() => {
-        try { channel.delete().catch(() => {}); } catch {}
-      }, 5000);
+      const gameNumber = state.games.length + 1;
+      await channel.send(`**Result settled** by <@${interaction.user.id}>: Team ${winner} wins${state.bestOf > 1 ? ` game ${gameNumber}` : ''}.`).catch(() => {});
+      const finalized = await recordGameResult(channel, state, winner);
+      if (!finalized) {
+        // A series goes on with the next game, anything else is an error
+        const wins = state.games.filter(g => g.winnerKey === winner).length;
+        const seriesContinues = state.games.length >= gameNumber && wins < Math.ceil(state.bestOf / 2);
+        await interaction.editReply({
+          content: seriesContinues
+            ? `Game ${gameNumber} of match #${matchId} settled: Team ${winner} wins. The series continues.`
+            : `Could not finalize match #${matchId}.`
+        });
+        return;
+      }
 
+      await closeMatch(client, channel, state);
+      await interaction.editReply({ content: `Match #${matchId} resolved: Team ${winner} wins.` });
     } catch (err) {
-      console.error('Reset match error:', err);
-      await interaction.reply({ content: 'Error resetting match.', flags: MessageFlags.Ephemeral }).catch(() => {});
+      console.error('Resolve match error:', err);
+      if (interaction.deferred) {
+        await interaction.editReply({ content: 'Error resolving match.' }).catch(() => {});
+      }
     }
   });
 
@@ -129,13 +210,14 @@ export function setupAdminCommands(client, dodgeBans, matches, voteUpdateQueues)
       const targetUser = interaction.options.getUser('player');
 
       // Check if player is actually banned
-      if (!dodgeBans.has(targetUser.id)) {
+      const activeSanction = await getActiveSanction(targetUser.id);
+      if (!activeSanction) {
         await interaction.reply({ content: `<@${targetUser.id}> is not banned from queue.`, flags: MessageFlags.Ephemeral });
         return;
       }
 
       // Remove the ban
-      dodgeBans.delete(targetUser.id);
+      await liftSanctions(targetUser.id);
 
       // Post to #bann channel
       try {
@@ -262,6 +344,9 @@ export function setupAdminCommands(client, dodgeBans, matches, voteUpdateQueues)
 
       // Update stats
       await user.update({ points, wins, losses });
+      if (points !== oldPoints) {
+        await recordRatingChange({ userId: user.id, before: oldPoints, after: points, reason: 'admin-edit' });
+      }
 
       // Sync rank after points update
       await syncPlayerRank(interaction.guild, targetUserId, points);
@@ -314,29 +399,19 @@ export function setupAdminCommands(client, dodgeBans, matches, voteUpdateQueues)
         return;
       }
 
-      // Ban the dodger for 1 hour
-      const banExpiry = Date.now() + DODGE_BAN_DURATION;
-      dodgeBans.set(userId, { timestamp: banExpiry, createdAt: Date.now() });
+      const penalty = await penalizeDodge(interaction.guild, state, userId, {
+        type: 'dodge',
+        reason: `Dodged match #${state.matchId ?? '?'}`
+      });
 
       // Notify all players in the match
       const playerMentions = [...state.players].map(id => `<@${id}>`).join(' ');
-      await interaction.channel.send(`**Match cancelled**: <@${userId}> dodged the match and is banned from queue for 1 hour.\n${playerMentions}`);
-
-      // Mark match as cancelled in DB
-      if (state.matchId) {
-        await Match.update({ status: 'cancelled' }, { where: { id: state.matchId } }).catch(() => {});
-      }
-
-      // Clean up
-      matches.delete(channelId);
-      voteUpdateQueues.delete(state.matchId);
+      await interaction.channel.send(`**Match cancelled**: <@${userId}> dodged the match. ${penalty}\n${playerMentions}`);
 
-      await interaction.editReply({ content: 'You dodged the match. You are banned from queue for 1 hour.' });
+      const replayed = await cancelMatch(client, interaction.channel, state);
+      const replay = replayed ? ` Tournament match M${replayed} starts again in a new channel.` : '';
 
-      // Delete channel after 5 seconds
-      setTimeout(() => {
-        try { interaction.channel.delete().catch(() => {}); } catch {}
-      }, 5000);
+      await interaction.editReply({ content: `You dodged the match. ${penalty}${replay}` });
 
     } catch (err) {
       console.error('Dodge command error:', err);
@@ -378,29 +453,20 @@ export function setupAdminCommands(client, dodgeBans, matches, voteUpdateQueues)
         return;
       }
 
-      // Ban the dodger for 1 hour
-      const banExpiry = Date.now() + DODGE_BAN_DURATION;
-      dodgeBans.set(userId, { timestamp: banExpiry, createdAt: Date.now() });
+      const penalty = await penalizeDodge(interaction.guild, state, userId, {
+        type: 'force-dodge',
+        reason: `Force-dodged from match #${state.matchId ?? '?'}`,
+        issuedBy: interaction.user.id
+      });
 
       // Notify all players in the match
       const playerMentions = [...state.players].map(id => `<@${id}>`).join(' ');
-      await interaction.channel.send(`**Match cancelled**: <@${userId}> was force-dodged by an admin and is banned from queue for 1 hour.\n${playerMentions}`);
-
-      // Mark match as cancelled in DB
-      if (state.matchId) {
-        await Match.update({ status: 'cancelled' }, { where: { id: state.matchId } }).catch(() => {});
-      }
+      await interaction.channel.send(`**Match cancelled**: <@${userId}> was force-dodged by an admin. ${penalty}\n${playerMentions}`);
 
-      // Clean up
-      matches.delete(channelId);
-      voteUpdateQueues.delete(state.matchId);
+      const replayed = await cancelMatch(client, interaction.channel, state);
+      const replay = replayed ? ` Tournament match M${replayed} starts again in a new channel.` : '';
 
-      await interaction.editReply({ content: `<@${userId}> was force-dodged and banned from queue for 1 hour.` });
-
-      // Delete channel after 5 seconds
-      setTimeout(() => {
-        try { interaction.channel.delete().catch(() => {}); } catch {}
-      }, 5000);
+      await interaction.editReply({ content: `<@${userId}> was force-dodged. ${penalty}${replay}` });
 
     } catch (err) {
       console.error('Force dodge command error:', err);
@@ -428,6 +494,27 @@ export function getResetMatchCommand() {
     );
 }
 
+export function getResolveMatchCommand() {
+  return new SlashCommandBuilder()
+    .setName('resolve-match')
+    .setDescription('Settle a disputed match result (admin only)')
+    .addIntegerOption(option =>
+      option.setName('match')
+        .setDescription('Match ID')
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option.setName('winner')
+        .setDescription('Winning team, or void to cancel without points')
+        .setRequired(true)
+        .addChoices(
+          { name: 'Team A', value: 'A' },
+          { name: 'Team B', value: 'B' },
+          { name: 'Void', value: 'void' }
+        )
+    );
+}
+
 export function getBanPlayerCommand() {
   return new SlashCommandBuilder()
     .setName('ban-player')
@@ -469,7 +556,7 @@ export function getEditPlayerStatsCommand() {
 export function getDodgeCommand() {
   return new SlashCommandBuilder()
     .setName('dodge')
-    .setDescription('Leave the match within 5 minutes after map bans (1 hour queue ban)');
+    .setDescription('Leave the match within 5 minutes after map bans (escalating queue ban and point loss)');
 }
 
 export function getForceDodgeCommand() {
@@ -1,13 +1,8 @@
 import { EmbedBuilder, ChannelType } from "discord.js";
 import { User } from "../models/index.js";
 import { getCachedUsers } from "../utils/user-cache.js";
-
-const QUEUE_CHANNEL_NAME = "v3-general";
-const QUEUE_ADVANCED_CHANNEL_NAME = "v3-advanced";
-const QUEUE_CHALLENGER_CHANNEL_NAME = "v3-challenger";
-const QUEUE_ELITE_CHANNEL_NAME = "v3-elite";
-const QUEUE_PRO_CHANNEL_NAME = "v3-pro";
-const QUEUE_SIZE = 6;
+import { getQueueConfigs, getQueueSize } from "./queue-config.js";
+import { getQueueJoinedAt } from "../queue.js";
 
 /**
  * Get rank name based on points
@@ -34,25 +29,12 @@ function getRankByPoints(points) {
  * Build embed showing all queues status
  */
 async function buildCurrentQueueEmbed(guild, getQueue) {
-  const allChannels = [
-    QUEUE_CHANNEL_NAME, 
-    QUEUE_ADVANCED_CHANNEL_NAME, 
-    QUEUE_CHALLENGER_CHANNEL_NAME, 
-    QUEUE_ELITE_CHANNEL_NAME, 
-    QUEUE_PRO_CHANNEL_NAME
-  ];
-  
   let description = '';
   
-  for (const channelName of allChannels) {
-    const queue = getQueue(guild.id, channelName);
-    let displayName = 'General';
-    if (channelName === QUEUE_ADVANCED_CHANNEL_NAME) displayName = 'Advanced';
-    else if (channelName === QUEUE_CHALLENGER_CHANNEL_NAME) displayName = 'Challenger';
-    else if (channelName === QUEUE_ELITE_CHANNEL_NAME) displayName = 'Elite';
-    else if (channelName === QUEUE_PRO_CHANNEL_NAME) displayName = 'Pro';
+  for (const config of getQueueConfigs()) {
+    const queue = getQueue(guild.id, config.channelName);
     
-    description += `\n**${displayName}** [${queue.size}/${QUEUE_SIZE}]\n`;
+    description += `\n**${config.displayName}** [${queue.size}/${getQueueSize(config)}]\n`;
     
     if (queue.size === 0) {
       description += '  *Empty*\n';
@@ -67,14 +49,16 @@ async function buildCurrentQueueEmbed(guild, getQueue) {
       }).sort((a, b) => b.points - a.points);
       
       for (const { uid, pseudo, points, rank } of playersWithPoints) {
-        description += `  • <@${uid}> - **${pseudo}** (${points} pts) [${rank}]\n`;
+        const joinedAt = getQueueJoinedAt(uid);
+        const waiting = joinedAt ? ` · waiting since <t:${Math.floor(joinedAt / 1000)}:R>` : '';
+        description += `  • <@${uid}> - **${pseudo}** (${points} pts) [${rank}]${waiting}\n`;
       }
     }
   }
   
   return new EmbedBuilder()
     .setTitle('📊 Current Queues')
-    .setDescription(description)
+    .setDescription(description || '*No queues configured*')
     .setColor('#00ff00')
     .setFooter({ text: guild.name, iconURL: guild.iconURL() });
 }
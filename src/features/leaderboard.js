@@ -0,0 +1,214 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from "discord.js";
+import { Op, fn, col, literal } from "sequelize";
+import { sequelize, User, Match, RatingChange, SeasonResult } from "../models/index.js";
+import { RANK_SYSTEM } from "../queue.js";
+import { getQueueDisplayName } from "./queue-config.js";
+
+const PAGE_SIZE = 10;
+export const LEADERBOARD_BUTTON_PREFIX = "lb";
+
+const USER_ORDER = [["points", "DESC"], ["wins", "DESC"], ["discordId", "ASC"]];
+
+/**
+ * Wins and losses of some players in one queue, from the rating history
+ * @param {number[]} userIds - User row ids
+ * @returns {Promise<Map<number, { wins, losses }>>} User id -> record
+ */
+async function getQueueRecords(queueName, userIds) {
+  const rows = await RatingChange.findAll({
+    attributes: ["userId", "reason", [fn("COUNT", col("RatingChange.id")), "count"]],
+    where: { reason: ["win", "loss"], userId: userIds },
+    include: [{ model: Match, where: { queueName }, attributes: [] }],
+    group: ["RatingChange.userId", "RatingChange.reason"],
+    raw: true
+  });
+
+  const records = new Map();
+  for (const row of rows) {
+    if (!records.has(row.userId)) records.set(row.userId, { wins: 0, losses: 0 });
+    records.get(row.userId)[row.reason === "win" ? "wins" : "losses"] = Number(row.count);
+  }
+  return records;
+}
+
+// Current leaderboard filters: points range of the rank, players with games in the queue
+function getUserWhere({ rank, queue }) {
+  const where = {};
+  if (rank) {
+    const range = RANK_SYSTEM[rank];
+    where.points = range.max === Infinity ? { [Op.gte]: range.min } : { [Op.between]: [range.min, range.max] };
+  }
+  if (queue) {
+    where.id = {
+      [Op.in]: literal(`(SELECT rc."userId" FROM rating_changes rc JOIN matches m ON m.id = rc."matchId" WHERE rc.reason IN ('win', 'loss') AND m."queueName" = ${sequelize.escape(queue)})`)
+    };
+  }
+  return where;
+}
+
+function getSeasonWhere({ rank, season }) {
+  const where = { seasonId: season.id };
+  if (rank) where.rank = rank;
+  return where;
+}
+
+/**
+ * Number of leaderboard entries matching the filters
+ * @param {Object} filters - { rank, queue, season }, see buildLeaderboardPage
+ */
+async function countLeaderboardEntries(filters) {
+  return filters.season
+    ? SeasonResult.count({ where: getSeasonWhere(filters) })
+    : User.count({ where: getUserWhere(filters) });
+}
+
+/**
+ * One slice of the ordered leaderboard
+ * @returns {Promise<Array<{ discordId, points, wins, losses }>>}
+ */
+async function getLeaderboardEntries(filters, offset, limit) {
+  if (filters.season) {
+    return SeasonResult.findAll({
+      where: getSeasonWhere(filters),
+      attributes: ["discordId", "points", "wins", "losses"],
+      order: [["position", "ASC"]],
+      offset,
+      limit,
+      raw: true
+    });
+  }
+
+  const users = await User.findAll({
+    where: getUserWhere(filters),
+    attributes: ["id", "discordId", "points", "wins", "losses"],
+    order: USER_ORDER,
+    offset,
+    limit,
+    raw: true
+  });
+  if (!filters.queue) return users;
+
+  // Queue view: same ordering, with each player's record in that queue
+  const records = await getQueueRecords(filters.queue, users.map(u => u.id));
+  return users.map(user => ({ ...user, ...(records.get(user.id) || { wins: 0, losses: 0 }) }));
+}
+
+/**
+ * Zero-based position of a player on the leaderboard, -1 when they are not on it
+ */
+async function getLeaderboardPosition(filters, discordId) {
+  if (filters.season) {
+    const where = getSeasonWhere(filters);
+    const result = await SeasonResult.findOne({ where: { ...where, discordId } });
+    if (!result) return -1;
+    return SeasonResult.count({ where: { ...where, position: { [Op.lt]: result.position } } });
+  }
+
+  const where = getUserWhere(filters);
+  const user = await User.findOne({ where: { ...where, discordId }, attributes: ["points", "wins", "discordId"] });
+  if (!user) return -1;
+  // Players ranked before them in USER_ORDER
+  return User.count({
+    where: {
+      ...where,
+      [Op.or]: [
+        { points: { [Op.gt]: user.points } },
+        { points: user.points, wins: { [Op.gt]: user.wins } },
+        { points: user.points, wins: user.wins, discordId: { [Op.lt]: user.discordId } }
+      ]
+    }
+  });
+}
+
+function encodeFilters({ rank, queue, season }) {
+  return [rank || "-", queue || "-", season?.number ?? "-"].join(":");
+}
+
+/**
+ * Parse a leaderboard button custom id ("lb:<page|me>:<rank>:<queue>:<season>")
+ * @returns {{ page: number|null, aroundMe: boolean, rank, queue, seasonNumber }|null}
+ */
+export function parseLeaderboardButton(customId) {
+  const [prefix, page, rank, queue, seasonNumber] = customId.split(":");
+  if (prefix !== LEADERBOARD_BUTTON_PREFIX) return null;
+  return {
+    page: page === "me" ? null : Number(page),
+    aroundMe: page === "me",
+    rank: rank === "-" ? null : rank,
+    queue: queue === "-" ? null : queue,
+    seasonNumber: seasonNumber === "-" ? null : Number(seasonNumber)
+  };
+}
+
+/**
+ * Render one leaderboard page (shared by /leaderboard, its buttons and the #leaderboard message)
+ * @param {Object} options
+ * @param {number} [options.page] - Zero-based page, clamped to the available pages
+ * @param {string|null} [options.rank] - Rank filter
+ * @param {string|null} [options.queue] - Queue channel name filter
+ * @param {Season|null} [options.season] - Finished season to show instead of current points
+ * @param {string|null} [options.aroundUserId] - Jump to the page containing this player
+ * @returns {Promise<{ content?: string, embeds: EmbedBuilder[], components: ActionRowBuilder[] }>}
+ */
+export async function buildLeaderboardPage({ page = 0, rank = null, queue = null, season = null, aroundUserId = null } = {}) {
+  const query = { rank, queue, season };
+  const total = await countLeaderboardEntries(query);
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  let content;
+  if (aroundUserId) {
+    const index = await getLeaderboardPosition(query, aroundUserId);
+    if (index === -1) content = "You are not on this leaderboard.";
+    else page = Math.floor(index / PAGE_SIZE);
+  }
+  page = Math.min(Math.max(0, page || 0), pageCount - 1);
+
+  const filterLabels = [];
+  if (season) filterLabels.push(season.name || `Season ${season.number}`);
+  if (rank) filterLabels.push(rank);
+  if (queue) filterLabels.push(getQueueDisplayName(queue));
+  const title = filterLabels.length ? `Ranked Leaderboard — ${filterLabels.join(" · ")}` : "Ranked Leaderboard";
+
+  const embed = new EmbedBuilder().setTitle(title);
+  if (total === 0) {
+    embed.setDescription(season || rank || queue ? "No players match these filters." : "No players registered yet.");
+  } else {
+    const first = page * PAGE_SIZE;
+    const pageEntries = await getLeaderboardEntries(query, first, PAGE_SIZE);
+    let leaderboardText = `**🏆 Players ${first + 1}–${first + pageEntries.length} of ${total}**\n\n`;
+    pageEntries.forEach((entry, i) => {
+      const position = first + i + 1;
+      const medal = position === 1 ? "🥇" : position === 2 ? "🥈" : position === 3 ? "🥉" : "  ";
+      const line = `${medal} **${position}.** <@${entry.discordId}> — ${entry.points} pts (${entry.wins}W/${entry.losses}L)`;
+      leaderboardText += entry.discordId === aroundUserId ? `▶ ${line} ◀\n` : `${line}\n`;
+    });
+    embed.setDescription(leaderboardText);
+  }
+  const updated = season ? `Ended ${season.endedAt.toLocaleDateString()}` : "Updated " + new Date().toLocaleString();
+  embed.setFooter({ text: `Page ${page + 1}/${pageCount} • ${updated}` });
+
+  const filters = encodeFilters({ rank, queue, season });
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${LEADERBOARD_BUTTON_PREFIX}:${page - 1}:${filters}`)
+      .setLabel("Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`${LEADERBOARD_BUTTON_PREFIX}:${page + 1}:${filters}`)
+      .setLabel("Next")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pageCount - 1),
+    new ButtonBuilder()
+      .setCustomId(`${LEADERBOARD_BUTTON_PREFIX}:me:${filters}`)
+      .setLabel("Around me")
+      .setEmoji("📍")
+      .setStyle(ButtonStyle.Primary)
+  );
+
+  return { content, embeds: [embed], components: [row] };
+}
+
+export function getRankNames() {
+  return Object.keys(RANK_SYSTEM);
+}
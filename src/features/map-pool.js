@@ -0,0 +1,260 @@
+import { Events, ChannelType, MessageFlags, SlashCommandBuilder } from "discord.js";
+import { GameMap } from "../models/index.js";
+import { ensureQueueMessage } from "../queue.js";
+import { getQueueConfig, getQueueDisplayName } from "./queue-config.js";
+
+// Seeded into game_maps the first time the bot starts on an empty table
+const DEFAULT_MAPS = [
+  { name: "Temple-M", emojiName: "templenighticon1", imageUrl: "https://i.postimg.cc/7Yppk9v2/temple_night_icon1.png" },
+  { name: "Old-School", emojiName: "oldschool", imageUrl: "https://i.postimg.cc/Kvdd2fXT/oldschool.png" },
+  { name: "Neden-3", emojiName: "neden3", imageUrl: "https://i.postimg.cc/BQdd0pWD/neden_3.png" },
+  { name: "Tunnel", emojiName: "tunnel", imageUrl: "https://i.postimg.cc/x1MBTmYN/tn01.png" },
+  { name: "Colloseum", emojiName: "collo", imageUrl: "https://i.postimg.cc/SNwwhd0J/collo.png" },
+  { name: "Ziggurant", emojiName: "zigguratt", imageUrl: "https://i.postimg.cc/8zMxPvDr/ziggurattd.png" },
+  { name: "Jungle", emojiName: "jungle", imageUrl: "https://i.postimg.cc/tCLLjk0h/jungle.png" }
+];
+
+// One ban per captain and at least one map left to play
+export const MIN_POOL_SIZE = 3;
+const MAP_NAME_PATTERN = /^[\w .'-]{1,40}$/; // no ":", map names go into button custom ids
+const CUSTOM_EMOJI_PATTERN = /^<a?:(\w+):\d+>$/;
+
+let gameMaps = null; // plain map rows, null until loaded
+
+function toPlainMap(row) {
+  return {
+    name: row.name,
+    queueName: row.queueName || null,
+    enabled: row.enabled !== false,
+    imageUrl: row.imageUrl || null,
+    emojiName: row.emojiName || null,
+    sortOrder: row.sortOrder ?? 0
+  };
+}
+
+/**
+ * Load map pools from the database, seeding the default pool on first run
+ */
+export async function loadMapPool() {
+  let rows = await GameMap.findAll();
+  if (rows.length === 0) {
+    rows = await GameMap.bulkCreate(DEFAULT_MAPS.map((map, i) => ({ ...map, sortOrder: i })));
+    console.log(`[MapPool] Seeded ${rows.length} default map(s)`);
+  }
+  gameMaps = rows.map(toPlainMap);
+}
+
+// Falls back to the built-in defaults until loadMapPool has run
+function getAllMaps() {
+  return gameMaps || DEFAULT_MAPS.map((map, i) => toPlainMap({ ...map, sortOrder: i }));
+}
+
+function getOwnMaps(queueName) {
+  return getAllMaps()
+    .filter(m => m.queueName === queueName)
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+}
+
+/**
+ * Enabled maps of a queue: its own pool once it has enough maps, the shared pool otherwise
+ * @param {string|null} queueName - Queue channel name
+ * @returns {Array<{ name, queueName, enabled, imageUrl, emojiName, sortOrder }>}
+ */
+export function getMapPool(queueName) {
+  const own = queueName ? getOwnMaps(queueName).filter(m => m.enabled) : [];
+  return own.length >= MIN_POOL_SIZE ? own : getOwnMaps(null).filter(m => m.enabled);
+}
+
+export function getMapImageUrl(mapName, queueName) {
+  const map = getMapPool(queueName).find(m => m.name === mapName)
+    || getAllMaps().find(m => m.name === mapName && m.imageUrl);
+  return map?.imageUrl || null;
+}
+
+/**
+ * Guild emoji configured for a map, if the guild has it
+ */
+export function findMapEmoji(guild, map) {
+  if (!map?.emojiName) return null;
+  return guild.emojis.cache.find(e => e.name === map.emojiName) || null;
+}
+
+function describePool(guild, queueName) {
+  const own = getOwnMaps(queueName);
+  const label = queueName ? getQueueDisplayName(queueName) : 'Shared pool';
+  if (own.length === 0) return `**${label}**: no maps of its own, uses the shared pool.`;
+
+  const lines = own.map(map => {
+    const emoji = findMapEmoji(guild, map);
+    const emojiText = emoji ? `${emoji} ` : map.emojiName ? `:${map.emojiName}: ` : '';
+    const flags = [map.enabled ? null : 'disabled', map.imageUrl ? null : 'no image'].filter(Boolean);
+    return `${emojiText}${map.name}${flags.length ? ` (${flags.join(', ')})` : ''}`;
+  });
+  const enabledCount = own.filter(m => m.enabled).length;
+  const fallback = queueName && enabledCount < MIN_POOL_SIZE
+    ? `\n⚠️ Fewer than ${MIN_POOL_SIZE} enabled maps, this queue uses the shared pool.`
+    : '';
+  return `**${label}**\n${lines.join('\n')}${fallback}`;
+}
+
+/**
+ * Setup /map command handler (admin only)
+ */
+export function setupMapCommands(client) {
+  client.on(Events.InteractionCreate, async (interaction) => {
+    if (!interaction.isChatInputCommand()) return;
+    if (interaction.commandName !== 'map') return;
+
+    try {
+      const isAdmin = interaction.member.roles.cache.some(r => r.name.toLowerCase() === 'admin') || interaction.user.id === interaction.guild.ownerId;
+      if (!isAdmin) {
+        await interaction.reply({ content: 'Only admins can manage the map pool.', flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const queueChannel = interaction.options.getChannel('queue');
+      if (queueChannel && !getQueueConfig(queueChannel.name)) {
+        await interaction.reply({ content: `${queueChannel} is not a queue.`, flags: MessageFlags.Ephemeral });
+        return;
+      }
+      const queueName = queueChannel?.name || null;
+
+      if (subcommand === 'list') {
+        await interaction.reply({ content: describePool(interaction.guild, queueName), flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      const name = interaction.options.getString('name').trim();
+      const existing = await GameMap.findOne({ where: { name, queueName } });
+
+      if (subcommand === 'add') {
+        if (!MAP_NAME_PATTERN.test(name)) {
+          await interaction.reply({ content: 'Map names are up to 40 letters, digits, spaces, dots, dashes or apostrophes.', flags: MessageFlags.Ephemeral });
+          return;
+        }
+        if (existing) {
+          await interaction.reply({ content: `**${name}** is already in this pool.`, flags: MessageFlags.Ephemeral });
+          return;
+        }
+      } else if (!existing) {
+        await interaction.reply({ content: `**${name}** is not in this pool. See \`/map list\`.`, flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      // The shared pool is the fallback of every queue, it must stay playable
+      const removesEnabledMap = (subcommand === 'remove' || subcommand === 'disable') && existing.enabled;
+      if (removesEnabledMap && !queueName && getOwnMaps(null).filter(m => m.enabled).length <= MIN_POOL_SIZE) {
+        await interaction.reply({ content: `The shared pool needs at least ${MIN_POOL_SIZE} enabled maps.`, flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      let summary;
+      if (subcommand === 'add') {
+        const emoji = interaction.options.getString('emoji');
+        const imageUrl = interaction.options.getString('image-url');
+        if (imageUrl && !/^https?:\/\/\S+$/.test(imageUrl)) {
+          await interaction.reply({ content: 'The image must be an http(s) URL.', flags: MessageFlags.Ephemeral });
+          return;
+        }
+        await GameMap.create({
+          name,
+          queueName,
+          imageUrl,
+          emojiName: emoji ? parseEmojiName(emoji) : null,
+          sortOrder: getOwnMaps(queueName).length
+        });
+        summary = `**${name}** added.`;
+      } else if (subcommand === 'remove') {
+        await existing.destroy();
+        summary = `**${name}** removed.`;
+      } else if (subcommand === 'enable' || subcommand === 'disable') {
+        await existing.update({ enabled: subcommand === 'enable' });
+        summary = `**${name}** ${subcommand}d.`;
+      } else if (subcommand === 'set-image') {
+        const imageUrl = interaction.options.getString('url');
+        if (!/^https?:\/\/\S+$/.test(imageUrl)) {
+          await interaction.reply({ content: 'The image must be an http(s) URL.', flags: MessageFlags.Ephemeral });
+          return;
+        }
+        await existing.update({ imageUrl });
+        summary = `Image of **${name}** updated.`;
+      } else if (subcommand === 'set-emoji') {
+        const emojiName = parseEmojiName(interaction.options.getString('emoji'));
+        await existing.update({ emojiName });
+        summary = `Emoji of **${name}** set to :${emojiName}:.`;
+        if (!interaction.guild.emojis.cache.some(e => e.name === emojiName)) {
+          summary += ` This server has no emoji with that name yet.`;
+        }
+      }
+
+      await loadMapPool();
+      await interaction.reply({ content: `${summary}\n\n${describePool(interaction.guild, queueName)}`, flags: MessageFlags.Ephemeral });
+      await ensureQueueMessage(client, interaction.guild);
+    } catch (err) {
+      console.error('Map command error:', err);
+      if (!interaction.replied) {
+        await interaction.reply({ content: 'Error updating the map pool.', flags: MessageFlags.Ephemeral }).catch(() => {});
+      }
+    }
+  });
+}
+
+// Accepts a custom emoji as typed in Discord (<:name:id>) or a bare name
+function parseEmojiName(input) {
+  const match = input.trim().match(CUSTOM_EMOJI_PATTERN);
+  return (match ? match[1] : input.trim().replace(/^:|:$/g, '')).slice(0, 64);
+}
+
+/**
+ * Slash command definition
+ */
+export function getMapCommand() {
+  const addMapOptions = (subcommand) => subcommand
+    .addStringOption(option =>
+      option.setName('name')
+        .setDescription('Map name')
+        .setRequired(true)
+    );
+  const addQueueOption = (subcommand) => subcommand
+    .addChannelOption(option =>
+      option.setName('queue')
+        .setDescription('Queue with its own pool (default: the shared pool)')
+        .addChannelTypes(ChannelType.GuildText)
+    );
+
+  return new SlashCommandBuilder()
+    .setName('map')
+    .setDescription('Manage the map pools (admin only)')
+    .addSubcommand(sub => addQueueOption(
+      addMapOptions(sub.setName('add').setDescription('Add a map to a pool'))
+        .addStringOption(option =>
+          option.setName('image-url')
+            .setDescription('Hosted image shown when the map is selected')
+        )
+        .addStringOption(option =>
+          option.setName('emoji')
+            .setDescription('Server emoji shown next to the map')
+        )
+    ))
+    .addSubcommand(sub => addQueueOption(addMapOptions(sub.setName('remove').setDescription('Remove a map from a pool'))))
+    .addSubcommand(sub => addQueueOption(addMapOptions(sub.setName('enable').setDescription('Put a disabled map back in rotation'))))
+    .addSubcommand(sub => addQueueOption(addMapOptions(sub.setName('disable').setDescription('Take a map out of rotation without removing it'))))
+    .addSubcommand(sub => addQueueOption(
+      addMapOptions(sub.setName('set-image').setDescription('Set the image shown when the map is selected'))
+        .addStringOption(option =>
+          option.setName('url')
+            .setDescription('Hosted image URL')
+            .setRequired(true)
+        )
+    ))
+    .addSubcommand(sub => addQueueOption(
+      addMapOptions(sub.setName('set-emoji').setDescription('Set the server emoji shown next to the map'))
+        .addStringOption(option =>
+          option.setName('emoji')
+            .setDescription('Server emoji or its name')
+            .setRequired(true)
+        )
+    ))
+    .addSubcommand(sub => addQueueOption(sub.setName('list').setDescription('Show a map pool')));
+}
@@ -0,0 +1,242 @@
+import { Events, MessageFlags, SlashCommandBuilder } from "discord.js";
+import { Party, PartyMember } from "../models/index.js";
+import { isUserQueuedOrPlaying } from "../queue.js";
+import { getQueueConfigs } from "./queue-config.js";
+
+const INVITE_TIMEOUT = 5 * 60 * 1000;
+
+const parties = new Map(); // partyId -> { id, guildId, leaderId, memberIds (leader first) }
+const invites = new Map(); // `${guildId}:${inviteeId}` -> { inviterId, expiresAt }
+
+/**
+ * Load parties from the database (called on ClientReady, before matches are restored)
+ */
+export async function loadParties() {
+  const rows = await Party.findAll({ include: [PartyMember], order: [[PartyMember, "createdAt", "ASC"]] });
+  parties.clear();
+  for (const row of rows) {
+    const memberIds = row.PartyMembers.map(m => m.discordId);
+    parties.set(row.id, { id: row.id, guildId: row.guildId, leaderId: row.leaderId, memberIds: [row.leaderId, ...memberIds.filter(id => id !== row.leaderId)] });
+  }
+  console.log(`[Party] Loaded ${parties.size} part${parties.size === 1 ? "y" : "ies"}`);
+}
+
+/**
+ * Party of a player
+ * @returns {{ id, guildId, leaderId, memberIds }|null}
+ */
+export function getParty(guildId, userId) {
+  for (const party of parties.values()) {
+    if (party.guildId === guildId && party.memberIds.includes(userId)) return party;
+  }
+  return null;
+}
+
+/**
+ * Players of a lobby who are in the same party
+ * @param {string[]} playerIds - Discord IDs of the lobby
+ * @returns {string[][]} One array per party with at least two members in the lobby
+ */
+export function getLobbyParties(guildId, playerIds) {
+  const groups = new Map();
+  for (const id of playerIds) {
+    const party = getParty(guildId, id);
+    if (!party) continue;
+    if (!groups.has(party.id)) groups.set(party.id, []);
+    groups.get(party.id).push(id);
+  }
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+// A party must leave room for at least one other player in its team
+function getMaxPartySize() {
+  return Math.max(...getQueueConfigs().map(c => c.teamSize || 3)) - 1;
+}
+
+// Queues a party of this size is too big for (a party must leave a free spot in its team)
+function describeQueueLimits(size) {
+  const tooBig = getQueueConfigs().filter(c => size > (c.teamSize || 3) - 1);
+  if (tooBig.length === 0) return "";
+  return `\nToo big for: ${tooBig.map(c => `${c.displayName} (up to ${(c.teamSize || 3) - 1})`).join(", ")}.`;
+}
+
+function formatParty(party) {
+  return party.memberIds.map(id => (id === party.leaderId ? `👑 <@${id}>` : `<@${id}>`)).join(" ");
+}
+
+// Party changes are locked while a member waits in a queue, a ready check or a match
+function findBusyMember(guildId, memberIds) {
+  return memberIds.find(id => isUserQueuedOrPlaying(guildId, id)) || null;
+}
+
+async function removeMember(party, userId) {
+  const memberIds = party.memberIds.filter(id => id !== userId);
+  if (memberIds.length < 2) {
+    await Party.destroy({ where: { id: party.id } });
+    parties.delete(party.id);
+    return null;
+  }
+  await PartyMember.destroy({ where: { partyId: party.id, discordId: userId } });
+  party.memberIds = memberIds;
+  if (party.leaderId === userId) {
+    party.leaderId = memberIds[0];
+    await Party.update({ leaderId: party.leaderId }, { where: { id: party.id } });
+  }
+  return party;
+}
+
+async function handleInvite(interaction) {
+  const guildId = interaction.guild.id;
+  const inviterId = interaction.user.id;
+  const target = interaction.options.getUser("player");
+  if (target.bot || target.id === inviterId) {
+    await interaction.reply({ content: "You cannot invite this player.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const party = getParty(guildId, inviterId);
+  if (party && party.leaderId !== inviterId) {
+    await interaction.reply({ content: "Only your party leader can invite players.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+  if ((party?.memberIds.length || 1) >= getMaxPartySize()) {
+    await interaction.reply({ content: `Your party is full (${getMaxPartySize()} players max).`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+  if (getParty(guildId, target.id)) {
+    await interaction.reply({ content: `<@${target.id}> is already in a party.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  invites.set(`${guildId}:${target.id}`, { inviterId, expiresAt: Date.now() + INVITE_TIMEOUT });
+  await interaction.reply({
+    content: `<@${target.id}>, <@${inviterId}> invited you to their party. Use \`/party accept\` within ${INVITE_TIMEOUT / 60000} minutes.` +
+      describeQueueLimits((party?.memberIds.length || 1) + 1)
+  });
+}
+
+async function handleAccept(interaction) {
+  const guildId = interaction.guild.id;
+  const userId = interaction.user.id;
+  const key = `${guildId}:${userId}`;
+  const invite = invites.get(key);
+  if (!invite || invite.expiresAt < Date.now()) {
+    invites.delete(key);
+    await interaction.reply({ content: "You have no pending party invite.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+  if (getParty(guildId, userId)) {
+    await interaction.reply({ content: "Leave your current party first (`/party leave`).", flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  let party = getParty(guildId, invite.inviterId);
+  if (party && party.leaderId !== invite.inviterId) {
+    invites.delete(key);
+    await interaction.reply({ content: "This invite is no longer valid.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+  if ((party?.memberIds.length || 1) >= getMaxPartySize()) {
+    await interaction.reply({ content: `This party is full (${getMaxPartySize()} players max).`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+  const busy = findBusyMember(guildId, [...(party?.memberIds || [invite.inviterId]), userId]);
+  if (busy) {
+    await interaction.reply({ content: `<@${busy}> is in a queue or a match, try again once they are out.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  invites.delete(key);
+  if (!party) {
+    const row = await Party.create({ guildId, leaderId: invite.inviterId });
+    await PartyMember.create({ guildId, discordId: invite.inviterId, partyId: row.id });
+    party = { id: row.id, guildId, leaderId: invite.inviterId, memberIds: [invite.inviterId] };
+    parties.set(party.id, party);
+  }
+  await PartyMember.create({ guildId, discordId: userId, partyId: party.id });
+  party.memberIds.push(userId);
+
+  await interaction.reply({ content: `<@${userId}> joined the party (${party.memberIds.length}/${getMaxPartySize()}): ${formatParty(party)}${describeQueueLimits(party.memberIds.length)}` });
+}
+
+async function handleLeave(interaction, targetId) {
+  const guildId = interaction.guild.id;
+  const userId = interaction.user.id;
+  const party = getParty(guildId, userId);
+  if (!party) {
+    await interaction.reply({ content: "You are not in a party.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+  if (targetId) {
+    if (party.leaderId !== userId) {
+      await interaction.reply({ content: "Only your party leader can kick players.", flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (targetId === userId || !party.memberIds.includes(targetId)) {
+      await interaction.reply({ content: `<@${targetId}> is not a member of your party.`, flags: MessageFlags.Ephemeral });
+      return;
+    }
+  }
+  const busy = findBusyMember(guildId, party.memberIds);
+  if (busy) {
+    await interaction.reply({ content: `<@${busy}> is in a queue or a match, the party cannot change until they are out.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const leavingId = targetId || userId;
+  const remaining = await removeMember(party, leavingId);
+  const action = targetId ? `<@${leavingId}> was kicked from the party.` : `<@${leavingId}> left the party.`;
+  await interaction.reply({ content: remaining ? `${action} ${formatParty(remaining)}` : `${action} The party is disbanded.` });
+}
+
+/**
+ * Setup /party command handler
+ */
+export function setupPartyCommands(client) {
+  client.on(Events.InteractionCreate, async (interaction) => {
+    if (!interaction.isChatInputCommand()) return;
+    if (interaction.commandName !== "party") return;
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      if (subcommand === "invite") await handleInvite(interaction);
+      else if (subcommand === "accept") await handleAccept(interaction);
+      else if (subcommand === "leave") await handleLeave(interaction, null);
+      else if (subcommand === "kick") await handleLeave(interaction, interaction.options.getUser("player").id);
+    } catch (err) {
+      console.error("Party command error:", err);
+      if (!interaction.replied) {
+        await interaction.reply({ content: "Error updating the party.", flags: MessageFlags.Ephemeral }).catch(() => {});
+      }
+    }
+  });
+}
+
+/**
+ * Slash command definition
+ */
+export function getPartyCommand() {
+  return new SlashCommandBuilder()
+    .setName("party")
+    .setDescription("Queue with your friends and play on the same team")
+    .addSubcommand(sub =>
+      sub.setName("invite")
+        .setDescription("Invite a player to your party")
+        .addUserOption(option =>
+          option.setName("player")
+            .setDescription("Player to invite")
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(sub => sub.setName("accept").setDescription("Join the party you were invited to"))
+    .addSubcommand(sub => sub.setName("leave").setDescription("Leave your party"))
+    .addSubcommand(sub =>
+      sub.setName("kick")
+        .setDescription("Remove a player from your party (leader only)")
+        .addUserOption(option =>
+          option.setName("player")
+            .setDescription("Party member to remove")
+            .setRequired(true)
+        )
+    );
+}
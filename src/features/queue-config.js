@@ -0,0 +1,336 @@
+import { Events, ChannelType, MessageFlags, SlashCommandBuilder } from "discord.js";
+import { QueueConfig } from "../models/index.js";
+import { ensureQueueMessage, getQueue } from "../queue.js";
+import { parseVetoFormat, formatVetoSteps, getDefaultVetoFormat, getSeriesVetoSteps, countVetoMaps } from "../utils/map-veto.js";
+import { getMapPool } from "./map-pool.js";
+
+export const DEFAULT_QUEUE_NAME = "v3-general";
+
+// Seeded into queue_configs the first time the bot starts on an empty table
+const DEFAULT_QUEUE_CONFIGS = [
+  { channelName: "v3-general", displayName: "General Queue V3", description: "V3, CPD, 30 minutes", teamSize: 3, requiredRoles: [], sortOrder: 0 },
+  { channelName: "v3-advanced", displayName: "Advanced Queue V3", description: "V3, CPD, 30 minutes", teamSize: 3, requiredRoles: ['advanced', 'challenger', 'elite', 'pro'], sortOrder: 1 },
+  { channelName: "v3-challenger", displayName: "Challenger Queue V3", description: "V3, CPD, 30 minutes", teamSize: 3, requiredRoles: ['challenger', 'elite', 'pro'], sortOrder: 2 },
+  { channelName: "v3-elite", displayName: "Elite Queue V3", description: "V3, CPD, 30 minutes", teamSize: 3, requiredRoles: ['elite', 'pro'], sortOrder: 3 },
+  { channelName: "v3-pro", displayName: "Pro Queue V3", description: "V3, CPD, 30 minutes", teamSize: 3, requiredRoles: ['pro'], sortOrder: 4 }
+];
+
+const MAX_TEAM_SIZE = 5;
+
+let queueConfigs = null; // channelName -> plain config object, null until loaded
+
+function toPlainConfig(row) {
+  return {
+    channelName: row.channelName,
+    displayName: row.displayName,
+    description: row.description || null,
+    teamSize: row.teamSize,
+    pickOrder: row.pickOrder || 'snake',
+    teamMode: row.teamMode || 'draft',
+    penalizeRecentTeammates: !!row.penalizeRecentTeammates,
+    requireEvidence: !!row.requireEvidence,
+    requiredRoles: row.requiredRoles || [],
+    minPoints: row.minPoints ?? null,
+    maxPoints: row.maxPoints ?? null,
+    maxWaitMinutes: row.maxWaitMinutes || null,
+    vetoFormat: row.vetoFormat || null,
+    bestOf: row.bestOf || 1,
+    sortOrder: row.sortOrder ?? 0
+  };
+}
+
+/**
+ * Load queue definitions from the database, seeding the V3 defaults on first run
+ */
+export async function loadQueueConfigs() {
+  let rows = await QueueConfig.findAll();
+  if (rows.length === 0) {
+    rows = await QueueConfig.bulkCreate(DEFAULT_QUEUE_CONFIGS);
+    console.log(`[QueueConfig] Seeded ${rows.length} default queue(s)`);
+  }
+  queueConfigs = new Map(rows.map(row => [row.channelName, toPlainConfig(row)]));
+}
+
+/**
+ * Get all queue definitions, ordered for display
+ * (falls back to the built-in defaults until loadQueueConfigs has run)
+ */
+export function getQueueConfigs() {
+  const configs = queueConfigs ? [...queueConfigs.values()] : DEFAULT_QUEUE_CONFIGS.map(toPlainConfig);
+  return configs.sort((a, b) => a.sortOrder - b.sortOrder || a.channelName.localeCompare(b.channelName));
+}
+
+/**
+ * Get the definition of the queue posted in a channel
+ * @param {string} channelName - Queue channel name
+ * @returns {Object|null}
+ */
+export function getQueueConfig(channelName) {
+  return getQueueConfigs().find(c => c.channelName === channelName) || null;
+}
+
+/**
+ * Number of players needed to start a match (both teams)
+ */
+export function getQueueSize(config) {
+  return (config?.teamSize || 3) * 2;
+}
+
+export function getQueueDisplayName(channelName) {
+  return getQueueConfig(channelName)?.displayName || channelName;
+}
+
+function parseRoles(rolesStr) {
+  if (rolesStr.trim().toLowerCase() === 'none') return [];
+  return rolesStr.split(',').map(r => r.trim().toLowerCase()).filter(Boolean);
+}
+
+function describeTeamMode(config) {
+  if (config.teamMode === 'balanced') {
+    return `balanced by rating${config.penalizeRecentTeammates ? ', recent teammates split up' : ''}`;
+  }
+  const captains = config.teamMode === 'random' ? 'random captains' : 'top 2 players captain, sides by coin flip';
+  return `draft (${captains}, ${config.pickOrder} pick order)`;
+}
+
+function describeConfig(config) {
+  const roles = config.requiredRoles.length ? config.requiredRoles.join(', ') : 'none';
+  const min = config.minPoints ?? '—';
+  const max = config.maxPoints ?? '—';
+  return `**${config.displayName}** (#${config.channelName})\n` +
+    `Format: ${config.teamSize}v${config.teamSize}${config.bestOf > 1 ? `, best of ${config.bestOf}` : ''}\n` +
+    `Teams: ${describeTeamMode(config)}\n` +
+    `Required roles: ${roles}\n` +
+    `Points range: ${min} → ${max}\n` +
+    `Max wait: ${config.maxWaitMinutes ? `${config.maxWaitMinutes} minutes` : 'none'}\n` +
+    `Map veto: ${config.vetoFormat || `${getDefaultVetoFormat(config.bestOf)} (default)`}\n` +
+    `Screenshot required: ${config.requireEvidence ? 'yes' : 'no'}`;
+}
+
+/**
+ * Setup /queue-config command handler (admin only)
+ */
+export function setupQueueConfigCommands(client) {
+  client.on(Events.InteractionCreate, async (interaction) => {
+    if (!interaction.isChatInputCommand()) return;
+    if (interaction.commandName !== 'queue-config') return;
+
+    try {
+      const isAdmin = interaction.member.roles.cache.some(r => r.name.toLowerCase() === 'admin') || interaction.user.id === interaction.guild.ownerId;
+      if (!isAdmin) {
+        await interaction.reply({ content: 'Only admins can configure queues.', flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const channel = interaction.options.getChannel('channel');
+      const existing = await QueueConfig.findOne({ where: { channelName: channel.name } });
+
+      if (subcommand === 'remove') {
+        if (!existing) {
+          await interaction.reply({ content: `${channel} is not a queue.`, flags: MessageFlags.Ephemeral });
+          return;
+        }
+        const waiting = getQueue(interaction.guild.id, channel.name).size;
+        if (waiting > 0) {
+          await interaction.reply({ content: `${channel} still has ${waiting} player(s) waiting. Try again once it is empty.`, flags: MessageFlags.Ephemeral });
+          return;
+        }
+        await existing.destroy();
+        await loadQueueConfigs();
+        await interaction.reply({ content: `Queue ${channel} removed.`, flags: MessageFlags.Ephemeral });
+        await ensureQueueMessage(client, interaction.guild);
+        return;
+      }
+
+      const values = {};
+      const displayName = interaction.options.getString('name');
+      const description = interaction.options.getString('description');
+      const teamSize = interaction.options.getInteger('team-size');
+      const pickOrder = interaction.options.getString('pick-order');
+      const teamMode = interaction.options.getString('team-mode');
+      const penalizeRecentTeammates = interaction.options.getBoolean('avoid-recent-teammates');
+      const requireEvidence = interaction.options.getBoolean('require-evidence');
+      const roles = interaction.options.getString('roles');
+      const minPoints = interaction.options.getInteger('min-points');
+      const maxPoints = interaction.options.getInteger('max-points');
+      const maxWait = interaction.options.getInteger('max-wait');
+      const veto = interaction.options.getString('veto');
+      const bestOf = interaction.options.getInteger('best-of');
+      if (displayName !== null) values.displayName = displayName;
+      if (description !== null) values.description = description;
+      if (teamSize !== null) values.teamSize = teamSize;
+      if (pickOrder !== null) values.pickOrder = pickOrder;
+      if (teamMode !== null) values.teamMode = teamMode;
+      if (penalizeRecentTeammates !== null) values.penalizeRecentTeammates = penalizeRecentTeammates;
+      if (requireEvidence !== null) values.requireEvidence = requireEvidence;
+      if (roles !== null) values.requiredRoles = parseRoles(roles);
+      if (minPoints !== null) values.minPoints = minPoints || null;
+      if (maxPoints !== null) values.maxPoints = maxPoints || null;
+      if (maxWait !== null) values.maxWaitMinutes = maxWait || null;
+      if (bestOf !== null) values.bestOf = bestOf;
+      if (veto !== null) {
+        if (veto.trim().toLowerCase() === 'default') {
+          values.vetoFormat = null;
+        } else {
+          try {
+            values.vetoFormat = formatVetoSteps(parseVetoFormat(veto));
+          } catch (err) {
+            await interaction.reply({ content: err.message, flags: MessageFlags.Ephemeral });
+            return;
+          }
+        }
+      }
+
+      // Every game of a series is played on its own map from the veto
+      if (values.bestOf !== undefined || values.vetoFormat !== undefined) {
+        const finalBestOf = values.bestOf ?? existing?.bestOf ?? 1;
+        const finalVeto = values.vetoFormat !== undefined ? values.vetoFormat : existing?.vetoFormat;
+        const vetoSteps = getSeriesVetoSteps(finalVeto, finalBestOf, getMapPool(channel.name).length);
+        if (countVetoMaps(vetoSteps) < finalBestOf) {
+          await interaction.reply({
+            content: `With this queue's map pool the veto plays as ${formatVetoSteps(vetoSteps)}: ${countVetoMaps(vetoSteps)} map(s) for a best of ${finalBestOf}. Add picks to the veto (or maps to the pool).`,
+            flags: MessageFlags.Ephemeral
+          });
+          return;
+        }
+      }
+
+      const finalMin = values.minPoints !== undefined ? values.minPoints : existing?.minPoints;
+      const finalMax = values.maxPoints !== undefined ? values.maxPoints : existing?.maxPoints;
+      if (finalMin != null && finalMax != null && finalMin > finalMax) {
+        await interaction.reply({ content: 'min-points must be lower than max-points.', flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      let saved;
+      if (subcommand === 'add') {
+        if (existing) {
+          await interaction.reply({ content: `${channel} is already a queue. Use \`/queue-config edit\`.`, flags: MessageFlags.Ephemeral });
+          return;
+        }
+        saved = await QueueConfig.create({ channelName: channel.name, sortOrder: getQueueConfigs().length, ...values });
+      } else {
+        if (!existing) {
+          await interaction.reply({ content: `${channel} is not a queue. Use \`/queue-config add\`.`, flags: MessageFlags.Ephemeral });
+          return;
+        }
+        if (values.teamSize && values.teamSize !== existing.teamSize && getQueue(interaction.guild.id, channel.name).size > 0) {
+          await interaction.reply({ content: 'Cannot change the team size while players are waiting in this queue.', flags: MessageFlags.Ephemeral });
+          return;
+        }
+        saved = await existing.update(values);
+      }
+
+      await loadQueueConfigs();
+      await interaction.reply({ content: `Queue saved:\n${describeConfig(toPlainConfig(saved))}`, flags: MessageFlags.Ephemeral });
+      await ensureQueueMessage(client, interaction.guild);
+    } catch (err) {
+      console.error('Queue config command error:', err);
+      if (!interaction.replied) {
+        await interaction.reply({ content: 'Error updating queue configuration.', flags: MessageFlags.Ephemeral }).catch(() => {});
+      }
+    }
+  });
+}
+
+/**
+ * Slash command definition
+ */
+export function getQueueConfigCommand() {
+  const addQueueOptions = (subcommand, required) => subcommand
+    .addChannelOption(option =>
+      option.setName('channel')
+        .setDescription('Queue channel')
+        .setRequired(true)
+        .addChannelTypes(ChannelType.GuildText)
+    )
+    .addStringOption(option =>
+      option.setName('name')
+        .setDescription('Display name (e.g. "Pro Queue V3")')
+        .setRequired(required)
+    )
+    .addIntegerOption(option =>
+      option.setName('team-size')
+        .setDescription('Players per team (1 = 1v1, 3 = 3v3, ...)')
+        .setMinValue(1)
+        .setMaxValue(MAX_TEAM_SIZE)
+    )
+    .addStringOption(option =>
+      option.setName('pick-order')
+        .setDescription('Captain pick order during the draft')
+        .addChoices(
+          { name: 'Snake (A B B A ...)', value: 'snake' },
+          { name: 'Alternate (A B A B ...)', value: 'alternate' }
+        )
+    )
+    .addStringOption(option =>
+      option.setName('team-mode')
+        .setDescription('How teams are formed')
+        .addChoices(
+          { name: 'Draft (top 2 players captain, sides by coin flip)', value: 'draft' },
+          { name: 'Balanced by rating (no draft)', value: 'balanced' },
+          { name: 'Draft with random captains', value: 'random' }
+        )
+    )
+    .addBooleanOption(option =>
+      option.setName('avoid-recent-teammates')
+        .setDescription('Balanced mode: split up players who were recently teammates')
+    )
+    .addBooleanOption(option =>
+      option.setName('require-evidence')
+        .setDescription('Require a scoreboard screenshot before the result is finalized')
+    )
+    .addStringOption(option =>
+      option.setName('roles')
+        .setDescription('Required roles, comma separated ("none" = everyone)')
+    )
+    .addIntegerOption(option =>
+      option.setName('min-points')
+        .setDescription('Minimum points to join (0 = no minimum)')
+        .setMinValue(0)
+    )
+    .addIntegerOption(option =>
+      option.setName('max-points')
+        .setDescription('Maximum points to join (0 = no maximum)')
+        .setMinValue(0)
+    )
+    .addIntegerOption(option =>
+      option.setName('max-wait')
+        .setDescription('Minutes before idle players must confirm they are still there (0 = no limit)')
+        .setMinValue(0)
+    )
+    .addIntegerOption(option =>
+      option.setName('best-of')
+        .setDescription('Games per match, points are awarded on the series result')
+        .addChoices(
+          { name: 'Best of 1', value: 1 },
+          { name: 'Best of 3', value: 3 },
+          { name: 'Best of 5', value: 5 }
+        )
+    )
+    .addStringOption(option =>
+      option.setName('veto')
+        .setDescription('Map veto steps, e.g. "A-ban,B-ban,A-pick,B-pick,decider" ("default" = A-ban,B-ban,decider)')
+    )
+    .addStringOption(option =>
+      option.setName('description')
+        .setDescription('Queue description (e.g. "V3, CPD, 30 minutes")')
+    );
+
+  return new SlashCommandBuilder()
+    .setName('queue-config')
+    .setDescription('Manage queue definitions (admin only)')
+    .addSubcommand(sub => addQueueOptions(sub.setName('add').setDescription('Add a queue'), true))
+    .addSubcommand(sub => addQueueOptions(sub.setName('edit').setDescription('Edit a queue'), false))
+    .addSubcommand(sub =>
+      sub.setName('remove')
+        .setDescription('Remove a queue')
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('Queue channel')
+            .setRequired(true)
+            .addChannelTypes(ChannelType.GuildText)
+        )
+    );
+}
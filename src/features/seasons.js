@@ -0,0 +1,147 @@
+import { Events, MessageFlags, SlashCommandBuilder } from "discord.js";
+import { sequelize, User, RatingChange, Season, SeasonResult } from "../models/index.js";
+import { syncPlayerRank, getRankByPoints } from "../queue.js";
+import { ensureStatsAndLeaderboardMessages } from "../stats.js";
+import { softResetRatingDeviation } from "../utils/rating.js";
+
+const BASE_RATING = 1000;
+// Share of the distance to 1000 removed at the end of a season (1 = full reset)
+const DEFAULT_RESET_FACTOR = Number(process.env.SEASON_RESET_FACTOR || 0.5);
+
+/**
+ * Get the running season, if any
+ */
+export async function getActiveSeason() {
+  return Season.findOne({ where: { endedAt: null }, order: [['number', 'DESC']] });
+}
+
+/**
+ * Points after the soft reset: move `factor` of the way back toward 1000
+ */
+function softResetPoints(points, factor) {
+  return Math.max(0, Math.round(points - (points - BASE_RATING) * factor));
+}
+
+/**
+ * Archive final standings into season_results and soft-reset every player
+ * @param {Season} season - Running season
+ * @param {number} factor - Reset factor between 0 and 1
+ * @returns {Promise<User[]>} Users with their new points
+ */
+async function endSeason(season, factor) {
+  return sequelize.transaction(async (transaction) => {
+    const users = await User.findAll({ order: [['points', 'DESC'], ['wins', 'DESC']], transaction });
+
+    await SeasonResult.bulkCreate(users.map((user, i) => ({
+      seasonId: season.id,
+      discordId: user.discordId,
+      username: user.username,
+      position: i + 1,
+      points: user.points,
+      wins: user.wins,
+      losses: user.losses,
+      rank: getRankByPoints(user.points)
+    })), { transaction });
+
+    const changes = [];
+    for (const user of users) {
+      const before = user.points;
+      const after = softResetPoints(before, factor);
+      // Wins and losses are kept: the Elo K-factor depends on games played, the archive has the season totals
+      await user.update({ points: after, ratingDeviation: softResetRatingDeviation(user.ratingDeviation, factor) }, { transaction });
+      changes.push({ userId: user.id, before, after, delta: after - before, reason: 'season-reset' });
+    }
+    await RatingChange.bulkCreate(changes, { transaction });
+
+    await season.update({ endedAt: new Date(), resetFactor: factor }, { transaction });
+    return users;
+  });
+}
+
+/**
+ * Setup /season command handler (admin only)
+ */
+export function setupSeasonCommands(client) {
+  client.on(Events.InteractionCreate, async (interaction) => {
+    if (!interaction.isChatInputCommand()) return;
+    if (interaction.commandName !== 'season') return;
+
+    try {
+      const isAdmin = interaction.member.roles.cache.some(r => r.name.toLowerCase() === 'admin') || interaction.user.id === interaction.guild.ownerId;
+      if (!isAdmin) {
+        await interaction.reply({ content: 'Only admins can manage seasons.', flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const active = await getActiveSeason();
+
+      if (subcommand === 'start') {
+        if (active) {
+          await interaction.reply({ content: `Season ${active.number} is still running. End it with \`/season end\` first.`, flags: MessageFlags.Ephemeral });
+          return;
+        }
+        const lastNumber = await Season.max('number');
+        const number = (lastNumber || 0) + 1;
+        const name = interaction.options.getString('name') || `Season ${number}`;
+        await Season.create({ number, name });
+        await interaction.reply({ content: `🏁 **${name}** started.` });
+        return;
+      }
+
+      if (!active) {
+        await interaction.reply({ content: 'No season is running. Start one with `/season start`.', flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      await interaction.deferReply();
+      const factor = interaction.options.getNumber('reset-factor') ?? DEFAULT_RESET_FACTOR;
+      const users = await endSeason(active, factor);
+
+      // Rank roles follow the reset points
+      for (const user of users) {
+        await syncPlayerRank(interaction.guild, user.discordId, user.points);
+      }
+      await ensureStatsAndLeaderboardMessages(client, interaction.guild);
+
+      await interaction.editReply({
+        content: `🏆 **${active.name || `Season ${active.number}`}** ended. ${users.length} player(s) archived and reset ${Math.round(factor * 100)}% toward ${BASE_RATING} points.\n` +
+          `See the final standings with \`/leaderboard season:${active.number}\`.`
+      });
+    } catch (err) {
+      console.error('Season command error:', err);
+      if (interaction.deferred) {
+        await interaction.editReply({ content: 'Error updating the season.' }).catch(() => {});
+      } else if (!interaction.replied) {
+        await interaction.reply({ content: 'Error updating the season.', flags: MessageFlags.Ephemeral }).catch(() => {});
+      }
+    }
+  });
+}
+
+/**
+ * Slash command definition
+ */
+export function getSeasonCommand() {
+  return new SlashCommandBuilder()
+    .setName('season')
+    .setDescription('Manage ranked seasons (admin only)')
+    .addSubcommand(sub =>
+      sub.setName('start')
+        .setDescription('Start a new season')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Season name (default "Season <n>")')
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName('end')
+        .setDescription('End the season: archive standings and soft-reset points')
+        .addNumberOption(option =>
+          option.setName('reset-factor')
+            .setDescription(`How far points move back toward ${BASE_RATING} (0 = none, 1 = full, default ${DEFAULT_RESET_FACTOR})`)
+            .setMinValue(0)
+            .setMaxValue(1)
+        )
+    );
+}
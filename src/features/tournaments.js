@@ -0,0 +1,561 @@
+import { Events, ChannelType, EmbedBuilder, MessageFlags, SlashCommandBuilder } from "discord.js";
+import { Op } from "sequelize";
+import { sequelize, User, Match, Tournament, TournamentEntry, TournamentMatch } from "../models/index.js";
+import { startFixedTeamsMatch } from "../queue.js";
+import { getQueueConfig, getQueueDisplayName, DEFAULT_QUEUE_NAME } from "./queue-config.js";
+import { getMapPool } from "./map-pool.js";
+import { formatVetoSteps, getSeriesVetoSteps, countVetoMaps } from "../utils/map-veto.js";
+import { buildBracket, reportBracketResult, getBracketWinner, getRoundName } from "../utils/bracket.js";
+
+const TOURNAMENT_CHANNEL = "tournament";
+const MAX_TEAMS = 32;
+const MAX_TEAM_SIZE = 5;
+const MENTION_PATTERN = /<@!?(\d+)>/g;
+
+const tournamentLocks = new Map(); // tournamentId -> true while the bracket is being updated
+const waitingNotices = new Set(); // `${tournamentId}:${number}` of matches announced as waiting for busy players
+
+async function acquireTournamentLock(tournamentId) {
+  while (tournamentLocks.get(tournamentId)) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  tournamentLocks.set(tournamentId, true);
+  return () => { tournamentLocks.delete(tournamentId); };
+}
+
+/**
+ * Tournament of a guild still registering or running, if any
+ */
+async function getOpenTournament(guildId) {
+  return Tournament.findOne({ where: { guildId, status: { [Op.in]: ["registration", "running"] } }, order: [["id", "DESC"]] });
+}
+
+function toPlainMatch(row) {
+  return {
+    number: row.number,
+    bracket: row.bracket,
+    round: row.round,
+    position: row.position,
+    entryA: row.entryAId ?? null,
+    entryB: row.entryBId ?? null,
+    byeSlot: row.byeSlot || null,
+    winner: row.winnerEntryId ?? null,
+    loser: row.loserEntryId ?? null,
+    status: row.status,
+    winnerNext: row.winnerNextNumber ? { number: row.winnerNextNumber, slot: row.winnerNextSlot } : null,
+    loserNext: row.loserNextNumber ? { number: row.loserNextNumber, slot: row.loserNextSlot } : null
+  };
+}
+
+function toMatchValues(match) {
+  return {
+    number: match.number,
+    bracket: match.bracket,
+    round: match.round,
+    position: match.position,
+    entryAId: match.entryA,
+    entryBId: match.entryB,
+    byeSlot: match.byeSlot,
+    winnerEntryId: match.winner,
+    loserEntryId: match.loser,
+    status: match.status,
+    winnerNextNumber: match.winnerNext?.number ?? null,
+    winnerNextSlot: match.winnerNext?.slot ?? null,
+    loserNextNumber: match.loserNext?.number ?? null,
+    loserNextSlot: match.loserNext?.slot ?? null
+  };
+}
+
+async function loadBracket(tournamentId) {
+  const rows = await TournamentMatch.findAll({ where: { tournamentId }, order: [["number", "ASC"]] });
+  return { rows, matches: rows.map(toPlainMatch) };
+}
+
+// Write back the bracket matches that changed
+async function saveBracket(rows, matches) {
+  for (const match of matches) {
+    const row = rows.find(r => r.number === match.number);
+    const values = toMatchValues(match);
+    if (Object.keys(values).some(key => row[key] !== values[key])) await row.update(values);
+  }
+}
+
+function formatEntry(entriesById, entryId, bye) {
+  if (bye) return "*bye*";
+  const entry = entriesById.get(entryId);
+  if (!entry) return "TBD";
+  return `\`${String(entry.seed ?? "-").padStart(2)}\` ${entry.name}`;
+}
+
+function buildTournamentEmbed(tournament, entries, matches) {
+  const format = `${tournament.format === "double" ? "Double" : "Single"} elimination · ${tournament.teamSize}v${tournament.teamSize}` +
+    (tournament.bestOf > 1 ? ` · best of ${tournament.bestOf}` : "");
+  const embed = new EmbedBuilder().setTitle(`🏆 ${tournament.name}`);
+
+  if (tournament.status === "registration") {
+    const teams = entries.filter(e => e.premade);
+    const solos = entries.filter(e => !e.premade);
+    embed.setDescription(`${format}\nRegistration is open: \`/tournament register\` (alone, or with your teammates).`);
+    embed.addFields({ name: `Teams (${teams.length})`, value: teams.map(e => `${e.name}: ${e.memberIds.map(id => `<@${id}>`).join(" ")}`).join("\n").slice(0, 1024) || "—" });
+    if (tournament.teamSize > 1) {
+      embed.addFields({ name: `Solo players (${solos.length}), grouped into teams by points at start`, value: solos.map(e => `<@${e.memberIds[0]}>`).join(" ").slice(0, 1024) || "—" });
+    }
+    return embed;
+  }
+
+  const entriesById = new Map(entries.map(e => [e.id, e]));
+  const winner = entriesById.get(tournament.winnerEntryId);
+  embed.setDescription(winner ? `${format}\n🥇 Winner: **${winner.name}** (${winner.memberIds.map(id => `<@${id}>`).join(" ")})` : format);
+
+  const statusIcons = { pending: "⏳", ready: "⏳", live: "🔴", done: "✅", void: "—" };
+  const rounds = new Map();
+  for (const match of matches) {
+    if (match.status === "void") continue;
+    const roundName = getRoundName(matches, match.bracket, match.round);
+    if (!rounds.has(roundName)) rounds.set(roundName, []);
+    const nameA = formatEntry(entriesById, match.entryA, match.byeSlot === "A");
+    const nameB = formatEntry(entriesById, match.entryB, match.byeSlot === "B");
+    const sideA = match.winner && match.winner === match.entryA ? `**${nameA}**` : nameA;
+    const sideB = match.winner && match.winner === match.entryB ? `**${nameB}**` : nameB;
+    rounds.get(roundName).push(`${statusIcons[match.status]} M${match.number}: ${sideA} vs ${sideB}`);
+  }
+  for (const [roundName, lines] of [...rounds.entries()].slice(0, 25)) {
+    embed.addFields({ name: roundName, value: lines.join("\n").slice(0, 1024) });
+  }
+  return embed;
+}
+
+/**
+ * Create or refresh the tournament embed in #tournament
+ */
+async function updateTournamentMessage(guild, tournament) {
+  try {
+    let channel = guild.channels.cache.find(c => c.type === ChannelType.GuildText && c.name === TOURNAMENT_CHANNEL);
+    if (!channel) {
+      channel = await guild.channels.create({ name: TOURNAMENT_CHANNEL, type: ChannelType.GuildText });
+    }
+    const entries = await TournamentEntry.findAll({ where: { tournamentId: tournament.id }, order: [["seed", "ASC"], ["id", "ASC"]] });
+    const { matches } = await loadBracket(tournament.id);
+    const payload = { embeds: [buildTournamentEmbed(tournament, entries, matches)] };
+
+    const existing = tournament.messageId ? await channel.messages.fetch(tournament.messageId).catch(() => null) : null;
+    if (existing) {
+      await existing.edit(payload);
+    } else {
+      const msg = await channel.send(payload);
+      await tournament.update({ messageId: msg.id });
+    }
+  } catch (err) {
+    console.error("Error updating tournament message:", err);
+  }
+}
+
+// Open a game channel for every bracket match whose two teams are known. Matches with
+// players still busy elsewhere wait, they are tried again whenever a match or a ready check ends.
+async function launchReadyMatches(client, guild, tournament, rows) {
+  const entriesById = new Map((await TournamentEntry.findAll({ where: { tournamentId: tournament.id } })).map(e => [e.id, e]));
+  for (const row of rows.filter(r => r.status === "ready")) {
+    try {
+      const { state, busyIds } = await startFixedTeamsMatch(client, guild, {
+        teamA: entriesById.get(row.entryAId).memberIds,
+        teamB: entriesById.get(row.entryBId).memberIds,
+        queueName: tournament.queueName || DEFAULT_QUEUE_NAME,
+        bestOf: tournament.bestOf,
+        label: `t${tournament.id}-m${row.number}`
+      });
+      if (!state) {
+        const key = `${tournament.id}:${row.number}`;
+        if (!waitingNotices.has(key)) {
+          waitingNotices.add(key);
+          const channel = guild.channels.cache.find(c => c.type === ChannelType.GuildText && c.name === TOURNAMENT_CHANNEL);
+          await channel?.send(`⏳ M${row.number} starts once ${busyIds.map(id => `<@${id}>`).join(" ")} ${busyIds.length > 1 ? "are" : "is"} out of their current match.`).catch(() => {});
+        }
+        continue;
+      }
+      waitingNotices.delete(`${tournament.id}:${row.number}`);
+      await row.update({ status: "live", matchId: state.matchId });
+    } catch (err) {
+      console.error(`Error starting tournament match M${row.number}:`, err);
+    }
+  }
+}
+
+/**
+ * Record a bracket result, start the matches it unlocks and finish the tournament after the final
+ * @param {'A'|'B'} winnerSlot
+ */
+async function advanceBracket(client, guild, tournamentId, number, winnerSlot) {
+  const unlock = await acquireTournamentLock(tournamentId);
+  try {
+    const tournament = await Tournament.findByPk(tournamentId);
+    const { rows, matches } = await loadBracket(tournamentId);
+    reportBracketResult(matches, number, winnerSlot);
+    await saveBracket(rows, matches);
+
+    const winnerEntryId = getBracketWinner(matches);
+    if (winnerEntryId) {
+      await tournament.update({ status: "finished", winnerEntryId, finishedAt: new Date() });
+      const winner = await TournamentEntry.findByPk(winnerEntryId);
+      const channel = guild.channels.cache.find(c => c.type === ChannelType.GuildText && c.name === TOURNAMENT_CHANNEL);
+      await channel?.send(`🏆 **${winner.name}** wins **${tournament.name}**! ${winner.memberIds.map(id => `<@${id}>`).join(" ")}`).catch(() => {});
+    } else {
+      await launchReadyMatches(client, guild, tournament, rows);
+    }
+    await updateTournamentMessage(guild, tournament);
+  } finally {
+    unlock();
+  }
+}
+
+// Start the ready matches of a tournament that were waiting for busy players
+async function relaunchWaitingMatches(client, guild, tournament) {
+  const rows = await TournamentMatch.findAll({ where: { tournamentId: tournament.id, status: "ready" } });
+  await launchReadyMatches(client, guild, tournament, rows);
+  return rows.some(r => r.status === "live");
+}
+
+/**
+ * Start the tournament matches that waited for the players of a match or a ready check
+ * that just ended (called when a ready check fails)
+ */
+export async function retryWaitingTournamentMatches(client, guild) {
+  const tournament = await getOpenTournament(guild.id);
+  if (tournament?.status !== "running") return;
+  const unlock = await acquireTournamentLock(tournament.id);
+  try {
+    if (await relaunchWaitingMatches(client, guild, tournament)) await updateTournamentMessage(guild, tournament);
+  } finally {
+    unlock();
+  }
+}
+
+/**
+ * Move the bracket on when a tournament match is finalized, or start tournament matches
+ * that waited for the players of any other match (called by finalizeMatch)
+ * @param {number} matchId - Match row id
+ * @param {'A'|'B'} winnerKey - Team that won the match
+ */
+export async function onTournamentMatchFinalized(client, guild, matchId, winnerKey) {
+  const row = matchId ? await TournamentMatch.findOne({ where: { matchId, status: "live" } }) : null;
+  if (row) {
+    await advanceBracket(client, guild, row.tournamentId, row.number, winnerKey);
+    return;
+  }
+  await retryWaitingTournamentMatches(client, guild);
+}
+
+/**
+ * Start a tournament match again when its game was cancelled (dodge, reset or void), along
+ * with the tournament matches that waited for its players (called by cancelMatch)
+ * @param {number} matchId - Match row id
+ * @returns {Promise<number|null>} Bracket match number, null if the match is not part of a tournament
+ */
+export async function onTournamentMatchCancelled(client, guild, matchId) {
+  const tournament = await getOpenTournament(guild.id);
+  if (tournament?.status !== "running") return null;
+  const unlock = await acquireTournamentLock(tournament.id);
+  try {
+    const row = matchId ? await TournamentMatch.findOne({ where: { tournamentId: tournament.id, matchId, status: "live" } }) : null;
+    if (row) await row.update({ status: "ready", matchId: null });
+    const started = await relaunchWaitingMatches(client, guild, tournament);
+    if (row || started) await updateTournamentMessage(guild, tournament);
+    return row?.number ?? null;
+  } finally {
+    unlock();
+  }
+}
+
+// Snake draft of solo players into teams, best players first; leftovers do not play
+function groupSoloPlayers(players, teamSize) {
+  const teamCount = Math.floor(players.length / teamSize);
+  const teams = Array.from({ length: teamCount }, () => []);
+  players.slice(0, teamCount * teamSize).forEach((player, i) => {
+    const round = Math.floor(i / teamCount);
+    const index = round % 2 === 0 ? i % teamCount : teamCount - 1 - (i % teamCount);
+    teams[index].push(player);
+  });
+  return { teams, leftovers: players.slice(teamCount * teamSize) };
+}
+
+async function handleCreate(interaction) {
+  if (await getOpenTournament(interaction.guild.id)) {
+    await interaction.reply({ content: "A tournament is already open on this server.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+  const queueChannel = interaction.options.getChannel("queue");
+  if (queueChannel && !getQueueConfig(queueChannel.name)) {
+    await interaction.reply({ content: `${queueChannel} is not a queue.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const queueName = queueChannel?.name || DEFAULT_QUEUE_NAME;
+  const bestOf = interaction.options.getInteger("best-of") || 1;
+  const vetoSteps = getSeriesVetoSteps(getQueueConfig(queueName)?.vetoFormat, bestOf, getMapPool(queueName).length);
+  if (countVetoMaps(vetoSteps) < bestOf) {
+    await interaction.reply({ content: `The map veto of ${getQueueDisplayName(queueName)} (${formatVetoSteps(vetoSteps)}) gives ${countVetoMaps(vetoSteps)} map(s), not enough for a best of ${bestOf}.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const tournament = await Tournament.create({
+    guildId: interaction.guild.id,
+    name: interaction.options.getString("name"),
+    format: interaction.options.getString("format") || "single",
+    teamSize: interaction.options.getInteger("team-size"),
+    bestOf,
+    queueName
+  });
+  await updateTournamentMessage(interaction.guild, tournament);
+  await interaction.reply({
+    content: `🏆 **${tournament.name}** created (maps and veto of ${getQueueDisplayName(tournament.queueName)}). Players can now \`/tournament register\`.`
+  });
+}
+
+async function handleRegister(interaction) {
+  const tournament = await getOpenTournament(interaction.guild.id);
+  if (!tournament || tournament.status !== "registration") {
+    await interaction.reply({ content: "No tournament is open for registration.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const teammates = [...(interaction.options.getString("teammates") || "").matchAll(MENTION_PATTERN)].map(m => m[1]);
+  const memberIds = [...new Set([interaction.user.id, ...teammates])];
+  const premade = tournament.teamSize === 1 || teammates.length > 0;
+  if (teammates.length > 0 && memberIds.length !== tournament.teamSize) {
+    await interaction.reply({ content: `A team needs exactly ${tournament.teamSize} players including you: mention ${tournament.teamSize - 1} teammate(s).`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const users = await User.findAll({ where: { discordId: memberIds } });
+  const unregistered = memberIds.filter(id => !users.some(u => u.discordId === id));
+  if (unregistered.length > 0) {
+    await interaction.reply({ content: `Not registered with the bot: ${unregistered.map(id => `<@${id}>`).join(" ")}.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const unlock = await acquireTournamentLock(tournament.id);
+  try {
+    const entries = await TournamentEntry.findAll({ where: { tournamentId: tournament.id } });
+    const taken = memberIds.filter(id => entries.some(e => e.memberIds.includes(id)));
+    if (taken.length > 0) {
+      await interaction.reply({ content: `Already registered: ${taken.map(id => `<@${id}>`).join(" ")}.`, flags: MessageFlags.Ephemeral });
+      return;
+    }
+    const soloCount = entries.filter(e => !e.premade).length + (premade ? 0 : 1);
+    const teamCount = entries.filter(e => e.premade).length + (premade ? 1 : 0) + Math.floor(soloCount / tournament.teamSize);
+    if (teamCount > MAX_TEAMS) {
+      await interaction.reply({ content: `The tournament is full (${MAX_TEAMS} teams).`, flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const username = users.find(u => u.discordId === interaction.user.id).username;
+    const name = interaction.options.getString("team-name") || (tournament.teamSize > 1 && premade ? `Team ${username}` : username);
+    await TournamentEntry.create({ tournamentId: tournament.id, name, memberIds, premade });
+    await interaction.reply({
+      content: premade
+        ? `**${name}** registered for **${tournament.name}**.`
+        : `You are registered for **${tournament.name}**. You will be grouped with other solo players when it starts.`,
+      flags: MessageFlags.Ephemeral
+    });
+  } finally {
+    unlock();
+  }
+  await updateTournamentMessage(interaction.guild, tournament);
+}
+
+async function handleStart(client, interaction) {
+  const tournament = await getOpenTournament(interaction.guild.id);
+  if (!tournament || tournament.status !== "registration") {
+    await interaction.reply({ content: "No tournament is waiting to start.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+  await interaction.deferReply();
+
+  const unlock = await acquireTournamentLock(tournament.id);
+  let leftovers = [];
+  try {
+    const entries = await TournamentEntry.findAll({ where: { tournamentId: tournament.id } });
+    const playerIds = entries.flatMap(e => e.memberIds);
+    const users = await User.findAll({ where: { discordId: playerIds } });
+    const pointsById = new Map(users.map(u => [u.discordId, u.points]));
+    const byPointsDesc = (a, b) => (pointsById.get(b) ?? 1000) - (pointsById.get(a) ?? 1000);
+
+    // Solo players become teams, seeded like the premades
+    const solos = entries.filter(e => !e.premade);
+    const grouped = groupSoloPlayers(solos.map(e => e.memberIds[0]).sort(byPointsDesc), tournament.teamSize);
+    const teamCount = entries.length - solos.length + grouped.teams.length;
+    if (teamCount < 2) {
+      await interaction.editReply({ content: `Not enough teams to start (${teamCount}). Solo players are kept as teams of ${tournament.teamSize} only.` });
+      return;
+    }
+    leftovers = grouped.leftovers;
+
+    // Registrations are only rewritten together with the bracket they end up in
+    const rows = await sequelize.transaction(async (transaction) => {
+      const teams = entries.filter(e => e.premade);
+      for (const memberIds of grouped.teams) {
+        const captain = users.find(u => u.discordId === memberIds[0]);
+        teams.push(await TournamentEntry.create({ tournamentId: tournament.id, name: `Team ${captain?.username || memberIds[0]}`, memberIds, premade: false }, { transaction }));
+      }
+      await TournamentEntry.destroy({ where: { id: solos.map(e => e.id) }, transaction });
+
+      // Seed by average points
+      const average = entry => Math.round(entry.memberIds.reduce((sum, id) => sum + (pointsById.get(id) ?? 1000), 0) / entry.memberIds.length);
+      teams.sort((a, b) => average(b) - average(a));
+      for (const [i, team] of teams.entries()) {
+        await team.update({ seed: i + 1, seedPoints: average(team) }, { transaction });
+      }
+
+      const matches = buildBracket(teams.map(t => t.id), tournament.format);
+      const created = await TournamentMatch.bulkCreate(matches.map(m => ({ tournamentId: tournament.id, ...toMatchValues(m) })), { transaction });
+      await tournament.update({ status: "running", startedAt: new Date() }, { transaction });
+      return created;
+    });
+    await launchReadyMatches(client, interaction.guild, tournament, rows);
+  } finally {
+    unlock();
+  }
+
+  await updateTournamentMessage(interaction.guild, tournament);
+  const dropped = leftovers.length ? `\nNot enough solo players to complete a team, left out: ${leftovers.map(id => `<@${id}>`).join(" ")}.` : "";
+  await interaction.editReply({ content: `🏁 **${tournament.name}** started. Bracket in <#${interaction.guild.channels.cache.find(c => c.name === TOURNAMENT_CHANNEL)?.id}>.${dropped}` });
+}
+
+async function handleReport(client, interaction) {
+  const tournament = await getOpenTournament(interaction.guild.id);
+  if (!tournament || tournament.status !== "running") {
+    await interaction.reply({ content: "No tournament is running.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+  const number = interaction.options.getInteger("match");
+  const winner = interaction.options.getString("winner");
+  const row = await TournamentMatch.findOne({ where: { tournamentId: tournament.id, number } });
+  if (!row || (row.status !== "ready" && row.status !== "live")) {
+    await interaction.reply({ content: `M${number} is not waiting for a result.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  // Games still being played are settled in their channel (votes or /resolve-match)
+  const match = row.matchId ? await Match.findByPk(row.matchId) : null;
+  if (match && match.status !== "cancelled") {
+    await interaction.reply({ content: `M${number} is being played in <#${match.channelId}>. Settle it there with \`/resolve-match match:${match.id}\`.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  await interaction.deferReply();
+  await advanceBracket(client, interaction.guild, tournament.id, number, winner);
+  await interaction.editReply({ content: `M${number} reported by <@${interaction.user.id}>: ${winner === "A" ? "first" : "second"} team advances.` });
+}
+
+/**
+ * Setup /tournament command handler
+ */
+export function setupTournamentCommands(client) {
+  client.on(Events.InteractionCreate, async (interaction) => {
+    if (!interaction.isChatInputCommand()) return;
+    if (interaction.commandName !== "tournament") return;
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      const isAdmin = interaction.member.roles.cache.some(r => r.name.toLowerCase() === "admin") || interaction.user.id === interaction.guild.ownerId;
+      if (subcommand !== "register" && !isAdmin) {
+        await interaction.reply({ content: "Only admins can manage tournaments.", flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      if (subcommand === "create") await handleCreate(interaction);
+      else if (subcommand === "register") await handleRegister(interaction);
+      else if (subcommand === "start") await handleStart(client, interaction);
+      else if (subcommand === "report") await handleReport(client, interaction);
+    } catch (err) {
+      console.error("Tournament command error:", err);
+      if (interaction.deferred) {
+        await interaction.editReply({ content: "Error updating the tournament." }).catch(() => {});
+      } else if (!interaction.replied) {
+        await interaction.reply({ content: "Error updating the tournament.", flags: MessageFlags.Ephemeral }).catch(() => {});
+      }
+    }
+  });
+}
+
+/**
+ * Slash command definition
+ */
+export function getTournamentCommand() {
+  return new SlashCommandBuilder()
+    .setName("tournament")
+    .setDescription("Elimination tournaments")
+    .addSubcommand(sub =>
+      sub.setName("create")
+        .setDescription("Open a tournament for registration (admin only)")
+        .addStringOption(option =>
+          option.setName("name")
+            .setDescription("Tournament name")
+            .setRequired(true)
+        )
+        .addIntegerOption(option =>
+          option.setName("team-size")
+            .setDescription("Players per team (1 = 1v1)")
+            .setRequired(true)
+            .setMinValue(1)
+            .setMaxValue(MAX_TEAM_SIZE)
+        )
+        .addStringOption(option =>
+          option.setName("format")
+            .setDescription("Bracket format (default single elimination)")
+            .addChoices(
+              { name: "Single elimination", value: "single" },
+              { name: "Double elimination", value: "double" }
+            )
+        )
+        .addIntegerOption(option =>
+          option.setName("best-of")
+            .setDescription("Games per match")
+            .addChoices(
+              { name: "Best of 1", value: 1 },
+              { name: "Best of 3", value: 3 },
+              { name: "Best of 5", value: 5 }
+            )
+        )
+        .addChannelOption(option =>
+          option.setName("queue")
+            .setDescription("Queue whose map pool and veto format are used")
+            .addChannelTypes(ChannelType.GuildText)
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("register")
+        .setDescription("Register alone, or with your premade team")
+        .addStringOption(option =>
+          option.setName("teammates")
+            .setDescription("Mention your teammates to register a premade team")
+        )
+        .addStringOption(option =>
+          option.setName("team-name")
+            .setDescription("Premade team name")
+            .setMaxLength(50)
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("start")
+        .setDescription("Close registration, seed the bracket by points and start the first matches (admin only)")
+    )
+    .addSubcommand(sub =>
+      sub.setName("report")
+        .setDescription("Report the result of a bracket match that could not be played (admin only)")
+        .addIntegerOption(option =>
+          option.setName("match")
+            .setDescription("Bracket match number (M1, M2, ...)")
+            .setRequired(true)
+            .setMinValue(1)
+        )
+        .addStringOption(option =>
+          option.setName("winner")
+            .setDescription("Team that advances")
+            .setRequired(true)
+            .addChoices(
+              { name: "First team (Team A)", value: "A" },
+              { name: "Second team (Team B)", value: "B" }
+            )
+        )
+    );
+}
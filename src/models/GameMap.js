@@ -0,0 +1,21 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+class GameMap extends Model {}
+
+GameMap.init({
+  name: { type: DataTypes.STRING(40), allowNull: false },
+  queueName: { type: DataTypes.STRING(100) }, // queue channel name, null = pool shared by every queue
+  enabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+  imageUrl: { type: DataTypes.STRING(500) }, // shown when the map is selected
+  emojiName: { type: DataTypes.STRING(64) }, // guild emoji shown next to the map
+  sortOrder: { type: DataTypes.INTEGER, defaultValue: 0 }
+}, {
+  sequelize,
+  modelName: 'GameMap',
+  tableName: 'game_maps',
+  timestamps: true,
+  indexes: [{ unique: true, fields: ['name', 'queueName'] }]
+});
+
+export default GameMap;
@@ -5,7 +5,33 @@ class Match extends Model {}
 
 Match.init({
 	channelId: { type: DataTypes.STRING(64), allowNull: false },
-	status: { type: DataTypes.STRING(30), defaultValue: 'draft' }
+	status: { type: DataTypes.STRING(30), defaultValue: 'draft' },
+	// In-flight draft state, so matches survive a bot restart
+	guildId: { type: DataTypes.STRING(64) },
+	queueName: { type: DataTypes.STRING(64) },
+	phase: { type: DataTypes.STRING(30) },
+	availableMaps: { type: DataTypes.JSONB, defaultValue: [] },
+	bannedMaps: { type: DataTypes.JSONB, defaultValue: [] },
+	vetoFormat: { type: DataTypes.STRING(255) }, // Veto steps played for this match, e.g. "A-ban,B-ban,decider"
+	vetoLog: { type: DataTypes.JSONB, defaultValue: [] }, // { action, side, map } per step played
+	selectedMaps: { type: DataTypes.JSONB, defaultValue: [] }, // Picked maps and decider, in play order
+	bestOf: { type: DataTypes.INTEGER, defaultValue: 1 }, // Games in the series (1, 3 or 5), results per game in match_games
+	mapName: { type: DataTypes.STRING(50) },
+	voteStartTime: { type: DataTypes.DATE },
+	draftMessageId: { type: DataTypes.STRING(64) },
+	banMessageId: { type: DataTypes.STRING(64) },
+	voteMessageId: { type: DataTypes.STRING(64) },
+	// Team that won, set when the result is finalized (no FK: teams already reference matches)
+	winnerTeamId: { type: DataTypes.INTEGER },
+	finishedAt: { type: DataTypes.DATE },
+	durationMs: { type: DataTypes.INTEGER }, // From match creation to the final result
+	voteTally: { type: DataTypes.JSONB }, // { A, B } votes when the result was finalized
+	// Scoreboard screenshot uploaded during the vote
+	evidenceUrl: { type: DataTypes.STRING(1024) },
+	evidenceUploaderId: { type: DataTypes.STRING(64) },
+	// Team voice channels, deleted with the game channel
+	voiceChannelAId: { type: DataTypes.STRING(64) },
+	voiceChannelBId: { type: DataTypes.STRING(64) }
 }, {
 	sequelize,
 	modelName: 'Match',
@@ -0,0 +1,24 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+// One game of a match: a best-of-1 match has a single game, a series one per map played
+class MatchGame extends Model {}
+
+MatchGame.init({
+  gameNumber: { type: DataTypes.INTEGER, allowNull: false }, // 1-based
+  mapName: { type: DataTypes.STRING(50) },
+  winnerTeamId: { type: DataTypes.INTEGER },
+  voteTally: { type: DataTypes.JSONB }, // { A, B } votes when the game was decided
+  evidenceUrl: { type: DataTypes.STRING(1024) },
+  finishedAt: { type: DataTypes.DATE }
+}, {
+  sequelize,
+  modelName: 'MatchGame',
+  tableName: 'match_games',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['matchId', 'gameNumber'] }
+  ]
+});
+
+export default MatchGame;
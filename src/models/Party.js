@@ -0,0 +1,17 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+// Premade group of players who queue together and end up on the same team
+class Party extends Model {}
+
+Party.init({
+  guildId: { type: DataTypes.STRING(64), allowNull: false },
+  leaderId: { type: DataTypes.STRING(64), allowNull: false } // Discord ID, the only member who can invite, kick and queue the party
+}, {
+  sequelize,
+  modelName: 'Party',
+  tableName: 'parties',
+  timestamps: true
+});
+
+export default Party;
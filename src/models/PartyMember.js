@@ -0,0 +1,20 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+class PartyMember extends Model {}
+
+PartyMember.init({
+  guildId: { type: DataTypes.STRING(64), allowNull: false },
+  discordId: { type: DataTypes.STRING(64), allowNull: false }
+}, {
+  sequelize,
+  modelName: 'PartyMember',
+  tableName: 'party_members',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['guildId', 'discordId'] }, // one party per player and server
+    { fields: ['partyId'] }
+  ]
+});
+
+export default PartyMember;
@@ -0,0 +1,29 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+class QueueConfig extends Model {}
+
+QueueConfig.init({
+  channelName: { type: DataTypes.STRING(100), allowNull: false, unique: true },
+  displayName: { type: DataTypes.STRING(100), allowNull: false },
+  description: { type: DataTypes.STRING(255) },
+  teamSize: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 3 },
+  pickOrder: { type: DataTypes.STRING(20), defaultValue: 'snake' }, // 'snake' (ABBA) or 'alternate' (ABAB)
+  teamMode: { type: DataTypes.STRING(20), defaultValue: 'draft' }, // 'draft', 'balanced' or 'random' (random captains)
+  penalizeRecentTeammates: { type: DataTypes.BOOLEAN, defaultValue: false }, // balanced mode only
+  requireEvidence: { type: DataTypes.BOOLEAN, defaultValue: false }, // screenshot needed before the result is finalized
+  requiredRoles: { type: DataTypes.JSONB, defaultValue: [] }, // lowercase role names, any of them grants access
+  minPoints: { type: DataTypes.INTEGER },
+  maxPoints: { type: DataTypes.INTEGER },
+  maxWaitMinutes: { type: DataTypes.INTEGER }, // idle players get a "still there?" prompt after this, null = no limit
+  vetoFormat: { type: DataTypes.STRING(255) }, // map veto steps, e.g. "A-ban,B-ban,decider", null = default
+  bestOf: { type: DataTypes.INTEGER, defaultValue: 1 }, // games per match: 1, 3 or 5
+  sortOrder: { type: DataTypes.INTEGER, defaultValue: 0 }
+}, {
+  sequelize,
+  modelName: 'QueueConfig',
+  tableName: 'queue_configs',
+  timestamps: true
+});
+
+export default QueueConfig;
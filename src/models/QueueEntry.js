@@ -0,0 +1,22 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+class QueueEntry extends Model {}
+
+QueueEntry.init({
+  guildId: { type: DataTypes.STRING(64), allowNull: false },
+  queueName: { type: DataTypes.STRING(64), allowNull: false },
+  discordId: { type: DataTypes.STRING(64), allowNull: false },
+  joinedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  sequelize,
+  modelName: 'QueueEntry',
+  tableName: 'queue_entries',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['guildId', 'discordId'] },
+    { fields: ['guildId', 'queueName'] }
+  ]
+});
+
+export default QueueEntry;
@@ -0,0 +1,23 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+class RatingChange extends Model {}
+
+RatingChange.init({
+  before: { type: DataTypes.INTEGER, allowNull: false },
+  after: { type: DataTypes.INTEGER, allowNull: false },
+  delta: { type: DataTypes.INTEGER, allowNull: false },
+  reason: { type: DataTypes.STRING(30), allowNull: false } // 'win', 'loss', 'dodge', 'admin-edit', 'season-reset', 'dodge-compensation'
+}, {
+  sequelize,
+  modelName: 'RatingChange',
+  tableName: 'rating_changes',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['userId', 'createdAt'] },
+    { fields: ['matchId'] }
+  ]
+});
+
+export default RatingChange;
@@ -0,0 +1,28 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+class Sanction extends Model {}
+
+Sanction.init({
+  discordId: { type: DataTypes.STRING(64), allowNull: false },
+  type: { type: DataTypes.STRING(30), allowNull: false }, // 'ban', 'dodge', 'force-dodge', 'afk' (missed ready check)
+  reason: { type: DataTypes.STRING(255) },
+  issuedBy: { type: DataTypes.STRING(64) }, // Discord ID of the admin (null for automatic sanctions)
+  expiresAt: { type: DataTypes.DATE, allowNull: false },
+  active: { type: DataTypes.BOOLEAN, defaultValue: true },
+  // Dodge offences: cancelled match and points taken from the dodger
+  matchId: { type: DataTypes.INTEGER },
+  pointsLost: { type: DataTypes.INTEGER, defaultValue: 0 }
+}, {
+  sequelize,
+  modelName: 'Sanction',
+  tableName: 'sanctions',
+  timestamps: true,
+  indexes: [
+    { fields: ['discordId'] },
+    { fields: ['discordId', 'type', 'createdAt'] },
+    { fields: ['active', 'expiresAt'] }
+  ]
+});
+
+export default Sanction;
@@ -0,0 +1,19 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+class Season extends Model {}
+
+Season.init({
+  number: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+  name: { type: DataTypes.STRING(100) },
+  startedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+  endedAt: { type: DataTypes.DATE }, // null while the season is running
+  resetFactor: { type: DataTypes.FLOAT } // soft reset applied when the season ended
+}, {
+  sequelize,
+  modelName: 'Season',
+  tableName: 'seasons',
+  timestamps: true
+});
+
+export default Season;
@@ -0,0 +1,27 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+// Final standing of a player when a season ended
+class SeasonResult extends Model {}
+
+SeasonResult.init({
+  discordId: { type: DataTypes.STRING(64), allowNull: false },
+  username: { type: DataTypes.STRING(100) },
+  position: { type: DataTypes.INTEGER, allowNull: false },
+  points: { type: DataTypes.INTEGER, allowNull: false },
+  wins: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  losses: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  rank: { type: DataTypes.STRING(30) }
+}, {
+  sequelize,
+  modelName: 'SeasonResult',
+  tableName: 'season_results',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['seasonId', 'discordId'] },
+    { fields: ['seasonId', 'position'] }
+  ]
+});
+
+export default SeasonResult;
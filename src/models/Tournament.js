@@ -0,0 +1,28 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+class Tournament extends Model {}
+
+Tournament.init({
+  guildId: { type: DataTypes.STRING(64), allowNull: false },
+  name: { type: DataTypes.STRING(100), allowNull: false },
+  format: { type: DataTypes.STRING(10), allowNull: false, defaultValue: 'single' }, // 'single' or 'double' elimination
+  teamSize: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 3 },
+  bestOf: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+  queueName: { type: DataTypes.STRING(100) }, // queue whose map pool and veto format are used
+  status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: 'registration' }, // 'registration', 'running' or 'finished'
+  messageId: { type: DataTypes.STRING(64) }, // bracket embed in #tournament
+  winnerEntryId: { type: DataTypes.INTEGER },
+  startedAt: { type: DataTypes.DATE },
+  finishedAt: { type: DataTypes.DATE }
+}, {
+  sequelize,
+  modelName: 'Tournament',
+  tableName: 'tournaments',
+  timestamps: true,
+  indexes: [
+    { fields: ['guildId', 'status'] }
+  ]
+});
+
+export default Tournament;
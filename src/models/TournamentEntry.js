@@ -0,0 +1,23 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+// A team (or a solo player waiting to be grouped) registered in a tournament
+class TournamentEntry extends Model {}
+
+TournamentEntry.init({
+  name: { type: DataTypes.STRING(100), allowNull: false },
+  memberIds: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] }, // Discord IDs, captain first
+  premade: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }, // false = solo registration, grouped at start
+  seed: { type: DataTypes.INTEGER }, // 1 = best, set when the bracket is built
+  seedPoints: { type: DataTypes.INTEGER } // average points of the members at start
+}, {
+  sequelize,
+  modelName: 'TournamentEntry',
+  tableName: 'tournament_entries',
+  timestamps: true,
+  indexes: [
+    { fields: ['tournamentId'] }
+  ]
+});
+
+export default TournamentEntry;
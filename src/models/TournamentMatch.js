@@ -0,0 +1,33 @@
+import { Model, DataTypes } from 'sequelize';
+import sequelize from '../database.js';
+
+// One match of a tournament bracket, see utils/bracket.js
+class TournamentMatch extends Model {}
+
+TournamentMatch.init({
+  number: { type: DataTypes.INTEGER, allowNull: false }, // per tournament, used by /tournament report
+  bracket: { type: DataTypes.STRING(10), allowNull: false }, // 'winners', 'losers' or 'final'
+  round: { type: DataTypes.INTEGER, allowNull: false },
+  position: { type: DataTypes.INTEGER, allowNull: false },
+  entryAId: { type: DataTypes.INTEGER },
+  entryBId: { type: DataTypes.INTEGER },
+  byeSlot: { type: DataTypes.STRING(4) }, // 'A', 'B' or 'both' when that side never gets an entry
+  winnerEntryId: { type: DataTypes.INTEGER },
+  loserEntryId: { type: DataTypes.INTEGER },
+  status: { type: DataTypes.STRING(10), allowNull: false, defaultValue: 'pending' }, // 'pending', 'ready', 'live', 'done' or 'void'
+  winnerNextNumber: { type: DataTypes.INTEGER },
+  winnerNextSlot: { type: DataTypes.STRING(1) },
+  loserNextNumber: { type: DataTypes.INTEGER },
+  loserNextSlot: { type: DataTypes.STRING(1) }
+}, {
+  sequelize,
+  modelName: 'TournamentMatch',
+  tableName: 'tournament_matches',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['tournamentId', 'number'] },
+    { fields: ['matchId'] }
+  ]
+});
+
+export default TournamentMatch;
@@ -38,6 +38,15 @@ User.init({
     type: DataTypes.INTEGER,
     defaultValue: 0
   },
+  // Glicko-2 rating deviation and volatility (unused by the Elo engine)
+  ratingDeviation: {
+    type: DataTypes.FLOAT,
+    defaultValue: 350
+  },
+  volatility: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0.06
+  },
   registeredAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
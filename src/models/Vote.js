@@ -5,7 +5,8 @@ class Vote extends Model {}
 
 Vote.init({
   voterDiscordId: { type: DataTypes.STRING(64), allowNull: false },
-  voteForTeamId: { type: DataTypes.INTEGER, allowNull: false }
+  voteForTeamId: { type: DataTypes.INTEGER, allowNull: false },
+  gameNumber: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 } // game of the series the vote is for
 }, {
   sequelize,
   modelName: 'Vote',
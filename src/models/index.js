@@ -4,6 +4,19 @@ import Match from './Match.js';
 import Team from './Team.js';
 import MatchPlayer from './MatchPlayer.js';
 import Vote from './Vote.js';
+import QueueEntry from './QueueEntry.js';
+import Sanction from './Sanction.js';
+import RatingChange from './RatingChange.js';
+import QueueConfig from './QueueConfig.js';
+import Season from './Season.js';
+import SeasonResult from './SeasonResult.js';
+import GameMap from './GameMap.js';
+import MatchGame from './MatchGame.js';
+import Tournament from './Tournament.js';
+import TournamentEntry from './TournamentEntry.js';
+import TournamentMatch from './TournamentMatch.js';
+import Party from './Party.js';
+import PartyMember from './PartyMember.js';
 
 // Associations
 Match.hasMany(Team, { foreignKey: 'matchId' });
@@ -15,14 +28,51 @@ MatchPlayer.belongsTo(Match, { foreignKey: 'matchId' });
 Team.hasMany(MatchPlayer, { foreignKey: 'teamId' });
 MatchPlayer.belongsTo(Team, { foreignKey: 'teamId' });
 
+Match.hasMany(MatchGame, { foreignKey: 'matchId' });
+MatchGame.belongsTo(Match, { foreignKey: 'matchId' });
+
 Match.hasMany(Vote, { foreignKey: 'matchId' });
 Vote.belongsTo(Match, { foreignKey: 'matchId' });
 
+User.hasMany(RatingChange, { foreignKey: 'userId' });
+RatingChange.belongsTo(User, { foreignKey: 'userId' });
+
+Match.hasMany(RatingChange, { foreignKey: 'matchId' });
+RatingChange.belongsTo(Match, { foreignKey: 'matchId' });
+
+Season.hasMany(SeasonResult, { foreignKey: 'seasonId' });
+SeasonResult.belongsTo(Season, { foreignKey: 'seasonId' });
+
+Tournament.hasMany(TournamentEntry, { foreignKey: 'tournamentId' });
+TournamentEntry.belongsTo(Tournament, { foreignKey: 'tournamentId' });
+
+Tournament.hasMany(TournamentMatch, { foreignKey: 'tournamentId' });
+TournamentMatch.belongsTo(Tournament, { foreignKey: 'tournamentId' });
+
+Match.hasOne(TournamentMatch, { foreignKey: 'matchId' });
+TournamentMatch.belongsTo(Match, { foreignKey: 'matchId' });
+
+Party.hasMany(PartyMember, { foreignKey: 'partyId' });
+PartyMember.belongsTo(Party, { foreignKey: 'partyId' });
+
 export {
   sequelize,
   User,
   Match,
   Team,
   MatchPlayer,
-  Vote
+  Vote,
+  QueueEntry,
+  Sanction,
+  RatingChange,
+  QueueConfig,
+  Season,
+  SeasonResult,
+  GameMap,
+  MatchGame,
+  Tournament,
+  TournamentEntry,
+  TournamentMatch,
+  Party,
+  PartyMember
 };
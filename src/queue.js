@@ -1,38 +1,37 @@
 import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, Events, ChannelType, PermissionFlagsBits, MessageFlags, SlashCommandBuilder } from "discord.js";
-import { Match, Team, MatchPlayer, Vote, User } from "./models/index.js";
+import { Op } from "sequelize";
+import { Match, MatchGame, Team, MatchPlayer, Vote, User, QueueEntry } from "./models/index.js";
 import { ensureStatsAndLeaderboardMessages } from "./stats.js";
 import { syncPlayerRankLimiter, userUpdateLimiter } from "./utils/rate-limiter.js";
 import { startMemoryCleanup } from "./utils/memory-cleanup.js";
 import { getCachedUser, invalidateUserCache } from "./utils/user-cache.js";
+import { computeMatchRatings } from "./utils/rating.js";
+import { getActiveSanction, issueSanction } from "./utils/sanctions.js";
+import { recordRatingChange } from "./utils/rating-history.js";
+import { findBalancedTeams, getRecentTeammateCounts } from "./utils/team-balancer.js";
+import { openTicket } from "./tickets.js";
 import { ensureCurrentQueueMessage, scheduleCurrentQueueUpdate } from "./features/current-queue.js";
+import { setupQueueConfigCommands, getQueueConfigs, getQueueConfig, getQueueSize, getQueueDisplayName, DEFAULT_QUEUE_NAME } from "./features/queue-config.js";
+import { setupMapCommands, getMapPool, getMapImageUrl, findMapEmoji } from "./features/map-pool.js";
+import { DEFAULT_VETO_FORMAT, parseVetoFormat, formatVetoSteps, getSeriesVetoSteps, getCurrentVetoStep, isVetoComplete, applyVetoAction, runAutomaticVetoSteps } from "./utils/map-veto.js";
+import { onTournamentMatchFinalized, onTournamentMatchCancelled, retryWaitingTournamentMatches } from "./features/tournaments.js";
+import { getParty, getLobbyParties } from "./features/parties.js";
 import { setupAdminCommands, getResetMatchCommand, getBanPlayerCommand, getUnbanPlayerCommand, getEditPlayerStatsCommand, getDodgeCommand, getForceDodgeCommand } from "./features/admin-commands.js";
 
-const QUEUE_CHANNEL_NAME = "v3-general";
-const QUEUE_ADVANCED_CHANNEL_NAME = "v3-advanced";
-const QUEUE_CHALLENGER_CHANNEL_NAME = "v3-challenger";
-const QUEUE_ELITE_CHANNEL_NAME = "v3-elite";
-const QUEUE_PRO_CHANNEL_NAME = "v3-pro";
 const QUEUE_TAG = "[BOT-QUEUE-V1]";
-const QUEUE_SIZE = 6;
 const CATEGORY_GAMES = "Games";
+const LOBBY_VOICE_CHANNEL = (process.env.LOBBY_VOICE_CHANNEL || "Lobby").toLowerCase(); // Players waiting here are moved to their team channel
 const VOTE_TAG = "[BOT-VOTE-V1]";
 const BAN_TAG = "[BOT-BAN-V1]";
-const VOTE_THRESHOLD = 4;
-const POINTS_WIN = Number(process.env.POINTS_WIN || 30);
-const POINTS_LOSS = Number(process.env.POINTS_LOSS || 30);
-const MAPS = ["Temple-M", "Old-School", "Neden-3", "Tunnel", "Colloseum", "Ziggurant", "Jungle"];
 const BUTTON_COOLDOWN = 3000; // 3 seconds cooldown
 const COOLDOWN_TTL = 60 * 60 * 1000; // Cleanup cooldowns after 1 hour
 const MATCH_TTL = 12 * 60 * 60 * 1000; // Cleanup match states after 12 hours (fail-safe)
-
-// Queue role restrictions
-const QUEUE_ROLES = {
-  [QUEUE_CHANNEL_NAME]: [], // v3-general has no role restriction
-  [QUEUE_ADVANCED_CHANNEL_NAME]: ['advanced', 'challenger', 'elite', 'pro'], // v3-advanced requires these roles
-  [QUEUE_CHALLENGER_CHANNEL_NAME]: ['challenger', 'elite', 'pro'], // v3-challenger requires these roles
-  [QUEUE_ELITE_CHANNEL_NAME]: ['elite', 'pro'], // v3-elite requires these roles
-  [QUEUE_PRO_CHANNEL_NAME]: ['pro'] // v3-pro requires pro role only
-};
+const VOTE_TIMEOUT = Number(process.env.VOTE_TIMEOUT_MINUTES || 60) * 60 * 1000; // Dispute matches with no result after this delay
+const VOTE_TIMEOUT_CHECK_INTERVAL = 60 * 1000; // 1 minute
+const READY_CHECK_TIMEOUT = Number(process.env.READY_CHECK_SECONDS || 60) * 1000;
+const READY_CHECK_BAN = Number(process.env.READY_CHECK_BAN_MINUTES || 5) * 60 * 1000; // Queue ban for players who do not accept
+const QUEUE_IDLE_RESPONSE_TIME = Number(process.env.QUEUE_IDLE_RESPONSE_MINUTES || 2) * 60 * 1000; // Time to answer "still there?"
+const QUEUE_IDLE_CHECK_INTERVAL = 30 * 1000;
 
 // Rank system based on points
 const RANK_SYSTEM = {
@@ -46,42 +45,76 @@ const RANK_SYSTEM = {
 
 const RANK_ROLES = ['Bronze', 'Silver', 'Gold', 'Platinium', 'Diamond', 'Supersonic'];
 
-const MAP_IMAGES = {
-  // TODO: replace with your hosted URLs
-  "Temple-M": "https://i.postimg.cc/7Yppk9v2/temple_night_icon1.png",
-  "Old-School": "https://i.postimg.cc/Kvdd2fXT/oldschool.png",
-  "Neden-3": "https://i.postimg.cc/BQdd0pWD/neden_3.png",
-  "Tunnel": "https://i.postimg.cc/x1MBTmYN/tn01.png",
-  "Colloseum": "https://i.postimg.cc/SNwwhd0J/collo.png",
-  "Ziggurant": "https://i.postimg.cc/8zMxPvDr/ziggurattd.png",
-  "Jungle": "https://i.postimg.cc/tCLLjk0h/jungle.png"
-};
-
 const queues = new Map(); // guildId-channelName -> Set of user IDs
+const queueTimes = new Map(); // userId -> { joinedAt, activeAt, promptedAt, prompt } for idle checks (one queue per player)
 const queueLocks = new Map(); // guildId-channelName -> { locked: bool, waiters: [] } to prevent race conditions
 const matches = new Map();
 const voteUpdateQueues = new Map(); // Queue vote updates per matchId to throttle API calls
 const creatingGamesInGuild = new Map(); // guildId-channelName -> Promise (prevent simultaneous game creation with proper locking)
 const buttonCooldowns = new Map(); // userId -> { timestamp, createdAt } for anti-spam + TTL
-const dodgeBans = new Map(); // userId -> { timestamp, createdAt } when ban expires
+const readyChecks = new Map(); // checkId -> { guildId, channelName, players, accepted, expiresAt, message, timer }
+let nextReadyCheckId = 1;
 
 // Start memory cleanup service
-startMemoryCleanup(buttonCooldowns, dodgeBans, matches, voteUpdateQueues);
+startMemoryCleanup(buttonCooldowns, matches, voteUpdateQueues);
 
-function getQueue(guildId, channelName = QUEUE_CHANNEL_NAME) {
+function getQueue(guildId, channelName = DEFAULT_QUEUE_NAME) {
   const key = `${guildId}-${channelName}`;
   if (!queues.has(key)) queues.set(key, new Set());
   return queues.get(key);
 }
 
-function getQueueLock(guildId, channelName = QUEUE_CHANNEL_NAME) {
+// Queue Sets are the working copy; queue_entries rows keep them across restarts
+async function addToQueue(guildId, channelName, userId) {
+  getQueue(guildId, channelName).add(userId);
+  queueTimes.set(userId, { joinedAt: Date.now(), activeAt: Date.now(), promptedAt: null, prompt: null });
+  await QueueEntry.create({ guildId, queueName: channelName, discordId: userId, joinedAt: new Date() }).catch(err => {
+    console.error("Error persisting queue entry:", err);
+  });
+}
+
+async function removeFromQueue(guildId, channelName, userIds) {
+  const q = getQueue(guildId, channelName);
+  for (const id of userIds) {
+    q.delete(id);
+    queueTimes.get(id)?.prompt?.delete().catch(() => {});
+    queueTimes.delete(id);
+  }
+  await QueueEntry.destroy({ where: { guildId, queueName: channelName, discordId: userIds } }).catch(err => {
+    console.error("Error removing queue entries:", err);
+  });
+}
+
+/**
+ * Reload queue contents from the database (called on ClientReady)
+ */
+export async function restoreQueues() {
+  const entries = await QueueEntry.findAll({ order: [["joinedAt", "ASC"]] });
+  for (const entry of entries) {
+    getQueue(entry.guildId, entry.queueName).add(entry.discordId);
+    // The idle timer restarts with the bot, the displayed wait time does not
+    queueTimes.set(entry.discordId, { joinedAt: entry.joinedAt?.getTime() ?? Date.now(), activeAt: Date.now(), promptedAt: null, prompt: null });
+  }
+  console.log(`[Queue] Restored ${entries.length} queue entr${entries.length === 1 ? "y" : "ies"} from the database`);
+}
+
+/**
+ * When a player joined the queue they are waiting in
+ * @param {string} userId - Discord user ID
+ * @returns {number|null} Timestamp in ms
+ */
+export function getQueueJoinedAt(userId) {
+  return queueTimes.get(userId)?.joinedAt ?? null;
+}
+
+function getQueueLock(guildId, channelName = DEFAULT_QUEUE_NAME) {
   const key = `${guildId}-${channelName}`;
   if (!queueLocks.has(key)) queueLocks.set(key, { locked: false });
   return queueLocks.get(key);
 }
 
 // Acquire lock for queue operations to prevent race conditions
-async function acquireQueueLock(guildId, channelName = QUEUE_CHANNEL_NAME) {
+async function acquireQueueLock(guildId, channelName = DEFAULT_QUEUE_NAME) {
   const lock = getQueueLock(guildId, channelName);
   while (lock.locked) {
     await new Promise(resolve => setTimeout(resolve, 10));
@@ -90,14 +123,14 @@ async function acquireQueueLock(guildId, channelName = QUEUE_CHANNEL_NAME) {
   return () => { lock.locked = false; }; // Returns unlock function
 }
 
-function getCreatingGamesSet(guildId, channelName = QUEUE_CHANNEL_NAME) {
+function getCreatingGamesSet(guildId, channelName = DEFAULT_QUEUE_NAME) {
   const key = `${guildId}-${channelName}`;
   if (!creatingGamesInGuild.has(key)) creatingGamesInGuild.set(key, { locked: false, queue: [] });
   return creatingGamesInGuild.get(key);
 }
 
 // Acquires a lock for game creation to prevent race conditions
-async function acquireGameCreationLock(guildId, channelName = QUEUE_CHANNEL_NAME) {
+async function acquireGameCreationLock(guildId, channelName = DEFAULT_QUEUE_NAME) {
   const lock = getCreatingGamesSet(guildId, channelName);
   while (lock.locked) {
     await new Promise(resolve => setTimeout(resolve, 50));
@@ -106,51 +139,30 @@ async function acquireGameCreationLock(guildId, channelName = QUEUE_CHANNEL_NAME
   return () => { lock.locked = false; }; // Returns unlock function
 }
 
-function getMapImageUrl(mapName) {
-  return MAP_IMAGES[mapName] || null;
-}
-
-const EMOJI_MAP = {
-  'collo': 'Colloseum',
-  'zigguratt': 'Ziggurant',
-  'trainstation': 'Tunnel',
-  'tunnel': 'Tunnel',
-  'templenighticon1': 'Temple-M',
-  'oldschool': 'Old-School',
-  'jungle': 'Jungle',
-  'neden3': 'Neden-3'
-};
-
-function buildMapPoolString(guild) {
-  return Object.entries(EMOJI_MAP).map(([emojiName, mapName]) => {
-    const emoji = guild.emojis.cache.find(e => e.name === emojiName);
-    const emojiStr = emoji ? emoji.toString() : `:${emojiName}:`;
-    return `${emojiStr} ${mapName}`;
+function buildMapPoolString(guild, channelName) {
+  const pool = getMapPool(channelName);
+  if (pool.length === 0) return "No maps configured";
+  return pool.map(map => {
+    const emoji = findMapEmoji(guild, map);
+    const emojiStr = emoji ? emoji.toString() : map.emojiName ? `:${map.emojiName}:` : "";
+    return `${emojiStr} ${map.name}`.trim();
   }).join('\n');
 }
 
-function buildQueueEmbed(guild, count, channelName = QUEUE_CHANNEL_NAME) {
-  const mapPool = buildMapPoolString(guild);
-  let title = "General Queue V3";
-  if (channelName === QUEUE_ADVANCED_CHANNEL_NAME) {
-    title = "Advanced Queue V3";
-  } else if (channelName === QUEUE_CHALLENGER_CHANNEL_NAME) {
-    title = "Challenger Queue V3";
-  } else if (channelName === QUEUE_ELITE_CHANNEL_NAME) {
-    title = "Elite Queue V3";
-  } else if (channelName === QUEUE_PRO_CHANNEL_NAME) {
-    title = "Pro Queue V3";
-  }
+function buildQueueEmbed(guild, count, channelName = DEFAULT_QUEUE_NAME) {
+  const mapPool = buildMapPoolString(guild, channelName);
+  const config = getQueueConfig(channelName);
   
-  return new EmbedBuilder()
-    .setTitle(title)
-    .setDescription("V3, CPD, 30 minutes")
+  const embed = new EmbedBuilder()
+    .setTitle(config?.displayName || channelName)
     .addFields(
       { name: "Instructions", value: "Use the buttons to join or leave the queue." },
       { name: "Map pool", value: mapPool },
-      { name: "Players in queue", value: `${count}/${QUEUE_SIZE}` }
+      { name: "Players in queue", value: `${count}/${getQueueSize(config)}` }
     )
     .setFooter({ text: guild.name });
+  if (config?.description) embed.setDescription(config.description);
+  return embed;
 }
 
 function buildQueueRow() {
@@ -161,11 +173,9 @@ function buildQueueRow() {
 }
 
 export async function ensureQueueMessage(client, guild) {
-  await ensureQueueMessageForChannel(client, guild, QUEUE_CHANNEL_NAME);
-  await ensureQueueMessageForChannel(client, guild, QUEUE_ADVANCED_CHANNEL_NAME);
-  await ensureQueueMessageForChannel(client, guild, QUEUE_CHALLENGER_CHANNEL_NAME);
-  await ensureQueueMessageForChannel(client, guild, QUEUE_ELITE_CHANNEL_NAME);
-  await ensureQueueMessageForChannel(client, guild, QUEUE_PRO_CHANNEL_NAME);
+  for (const config of getQueueConfigs()) {
+    await ensureQueueMessageForChannel(client, guild, config.channelName);
+  }
   await ensureCurrentQueueMessage(client, guild, getQueue);
 }
 
@@ -189,40 +199,174 @@ async function ensureQueueMessageForChannel(client, guild, channelName) {
   }
 }
 
-async function updateQueueMessage(client, guild, channelName = QUEUE_CHANNEL_NAME) {
+async function updateQueueMessage(client, guild, channelName = DEFAULT_QUEUE_NAME) {
   return ensureQueueMessageForChannel(client, guild, channelName);
 }
 
 async function persistMatchSetup(channel, state) {
   try {
-    const match = await Match.create({ channelId: channel.id, status: "draft" });
+    const match = await Match.create({
+      channelId: channel.id,
+      status: "draft",
+      guildId: state.guildId,
+      queueName: state.queueName,
+      phase: state.phase,
+      availableMaps: state.availableMaps,
+      bannedMaps: state.bannedMaps,
+      vetoFormat: formatVetoSteps(state.vetoSteps),
+      bestOf: state.bestOf,
+      draftMessageId: state.messageId
+    });
     const teamA = await Team.create({ matchId: match.id, name: "Team A", captainDiscordId: state.captainA });
     const teamB = await Team.create({ matchId: match.id, name: "Team B", captainDiscordId: state.captainB });
     state.matchId = match.id;
     state.teamAId = teamA.id;
     state.teamBId = teamB.id;
-    await MatchPlayer.create({ matchId: match.id, teamId: teamA.id, discordId: state.captainA, pickOrder: 0 });
-    await MatchPlayer.create({ matchId: match.id, teamId: teamB.id, discordId: state.captainB, pickOrder: 0 });
+    // Captains have pickOrder 0; players already placed (balanced teams) keep their team order
+    const teamAPlayers = [...state.teamA];
+    const teamBPlayers = [...state.teamB];
     for (const uid of state.players) {
-      if (uid === state.captainA || uid === state.captainB) continue;
-      await MatchPlayer.create({ matchId: match.id, discordId: uid }).catch(() => {});
+      if (state.teamA.has(uid)) {
+        await MatchPlayer.create({ matchId: match.id, teamId: teamA.id, discordId: uid, pickOrder: teamAPlayers.indexOf(uid) }).catch(() => {});
+      } else if (state.teamB.has(uid)) {
+        await MatchPlayer.create({ matchId: match.id, teamId: teamB.id, discordId: uid, pickOrder: teamBPlayers.indexOf(uid) }).catch(() => {});
+      } else {
+        await MatchPlayer.create({ matchId: match.id, discordId: uid }).catch(() => {});
+      }
     }
   } catch (err) {
     console.error("Error persisting match setup:", err);
   }
 }
 
+// Save the draft/ban/vote progress so the match can be rebuilt after a restart
+async function persistMatchState(state) {
+  if (!state.matchId) return;
+  try {
+    await Match.update({
+      phase: state.phase,
+      availableMaps: state.availableMaps,
+      bannedMaps: state.bannedMaps,
+      vetoLog: state.vetoLog,
+      selectedMaps: state.selectedMaps,
+      mapName: state.selectedMap,
+      voteStartTime: state.voteStartTime ? new Date(state.voteStartTime) : null,
+      draftMessageId: state.messageId,
+      banMessageId: state.banMessageId,
+      voteMessageId: state.voteMessageId,
+      evidenceUrl: state.evidence?.url || null,
+      evidenceUploaderId: state.evidence?.uploaderId || null,
+      voiceChannelAId: state.voiceChannelIds?.A || null,
+      voiceChannelBId: state.voiceChannelIds?.B || null
+    }, { where: { id: state.matchId } });
+  } catch (err) {
+    console.error("Error persisting match state:", err);
+  }
+}
+
+/**
+ * Rebuild the in-memory match states from matches that are still in progress
+ * (called on ClientReady, so pick/ban/vote buttons keep working after a restart)
+ */
+export async function restoreActiveMatches(client) {
+  const activeMatches = await Match.findAll({
+    where: { status: { [Op.notIn]: ["done", "cancelled"] } },
+    include: [Team, MatchPlayer, MatchGame]
+  });
+
+  let restored = 0;
+  const cancelled = [];
+  for (const match of activeMatches) {
+    const channel = await client.channels.fetch(match.channelId).catch(() => null);
+    const createdAt = match.createdAt.getTime();
+    const voiceChannelIds = match.voiceChannelAId ? { A: match.voiceChannelAId, B: match.voiceChannelBId } : null;
+    if (!channel || Date.now() - createdAt > MATCH_TTL) {
+      // Game channel is gone (or the match is stale): nothing left to reattach to
+      await match.update({ status: "cancelled" }).catch(() => {});
+      const guild = client.guilds.cache.get(match.guildId);
+      if (guild) await deleteMatchVoiceChannels(guild, { voiceChannelIds });
+      if (guild) cancelled.push({ guild, matchId: match.id });
+      continue;
+    }
+
+    const teamA = match.Teams.find(t => t.name === "Team A");
+    const teamB = match.Teams.find(t => t.name === "Team B");
+    if (!teamA || !teamB) continue;
+
+    // Matches persisted before veto formats banned A then B with the default format
+    const legacyVeto = !match.vetoFormat;
+    const bannedMaps = [...(match.bannedMaps || [])];
+    const vetoLog = legacyVeto
+      ? bannedMaps.map((map, i) => ({ action: "ban", side: i === 0 ? "A" : "B", map }))
+      : [...(match.vetoLog || [])];
+    if (legacyVeto && match.mapName) vetoLog.push({ action: "decider", side: null, map: match.mapName });
+
+    const games = match.MatchGames
+      .sort((a, b) => a.gameNumber - b.gameNumber)
+      .map(g => ({ gameNumber: g.gameNumber, mapName: g.mapName, winnerKey: g.winnerTeamId === teamA.id ? "A" : "B", evidenceUrl: g.evidenceUrl }));
+    const lastGame = match.MatchGames.find(g => g.gameNumber === games.length);
+
+    const byPickOrder = (a, b) => (a.pickOrder ?? 0) - (b.pickOrder ?? 0);
+    const playersOf = teamId => match.MatchPlayers.filter(p => p.teamId === teamId).sort(byPickOrder).map(p => p.discordId);
+
+    const state = {
+      guildId: match.guildId || channel.guild.id,
+      queueName: match.queueName || DEFAULT_QUEUE_NAME,
+      players: new Set(match.MatchPlayers.map(p => p.discordId)),
+      captainA: teamA.captainDiscordId,
+      captainB: teamB.captainDiscordId,
+      teamA: new Set(playersOf(teamA.id)),
+      teamB: new Set(playersOf(teamB.id)),
+      remaining: new Set(match.MatchPlayers.filter(p => !p.teamId).map(p => p.discordId)),
+      // Matches persisted before the generic draft used A1/B1/B2 phases
+      phase: ["A1", "B1", "B2"].includes(match.phase) ? "PICK" : ["BAN_A", "BAN_B"].includes(match.phase) ? "VETO" : (match.phase || "PICK"),
+      pickSequence: buildPickSequence(match.MatchPlayers.length - 2, getQueueConfig(match.queueName)?.pickOrder),
+      teamMode: getQueueConfig(match.queueName)?.teamMode || "draft",
+      parties: getLobbyParties(match.guildId || channel.guild.id, match.MatchPlayers.map(p => p.discordId)),
+      messageId: match.draftMessageId,
+      banMessageId: match.banMessageId,
+      voteMessageId: match.voteMessageId,
+      matchId: match.id,
+      teamAId: teamA.id,
+      teamBId: teamB.id,
+      availableMaps: match.availableMaps?.length ? [...match.availableMaps] : getMapPool(match.queueName).map(m => m.name),
+      bannedMaps,
+      vetoSteps: parseVetoFormat(match.vetoFormat || DEFAULT_VETO_FORMAT),
+      vetoLog,
+      selectedMaps: match.selectedMaps?.length ? [...match.selectedMaps] : (match.mapName ? [match.mapName] : []),
+      selectedMap: match.mapName,
+      finalized: false,
+      voteStartTime: match.voteStartTime ? match.voteStartTime.getTime() : null,
+      bestOf: match.bestOf || 1,
+      games,
+      gameStartTime: lastGame?.finishedAt?.getTime() ?? (match.voteStartTime ? match.voteStartTime.getTime() : null),
+      evidence: match.evidenceUrl ? { url: match.evidenceUrl, uploaderId: match.evidenceUploaderId } : null,
+      voiceChannelIds,
+      createdAt
+    };
+    matches.set(channel.id, state);
+    restored++;
+  }
+
+  // Once every live match is back: cancelled tournament matches are played again
+  for (const { guild, matchId } of cancelled) {
+    await onTournamentMatchCancelled(client, guild, matchId).catch(err => console.error("Error restarting tournament match:", err));
+  }
+  console.log(`[Match] Restored ${restored} active match(es) from the database`);
+}
+
 function isUserInActiveMatch(userId) {
   for (const state of matches.values()) {
-    if (!state.finalized && state.players && state.players.has(userId)) return true;
+    // Disputed matches wait for an admin, their players are free to queue again (a disputed series resumes afterwards)
+    const waitingForAdmin = state.phase === "DISPUTED" && state.bestOf === 1;
+    if (!state.finalized && !waitingForAdmin && state.players && state.players.has(userId)) return true;
   }
   return false;
 }
 
 function isUserInOtherQueue(userId, currentChannelName, guildId) {
   // Check if user is in a different queue
-  const allChannels = [QUEUE_CHANNEL_NAME, QUEUE_ADVANCED_CHANNEL_NAME, QUEUE_CHALLENGER_CHANNEL_NAME, QUEUE_ELITE_CHANNEL_NAME, QUEUE_PRO_CHANNEL_NAME];
-  for (const channelName of allChannels) {
+  for (const { channelName } of getQueueConfigs()) {
     if (channelName === currentChannelName) continue;
     const queue = getQueue(guildId, channelName);
     if (queue.has(userId)) return channelName;
@@ -230,6 +374,66 @@ function isUserInOtherQueue(userId, currentChannelName, guildId) {
   return null;
 }
 
+/**
+ * Whether a player waits in a queue or a ready check, or plays a match
+ * @param {string} guildId
+ * @param {string} userId - Discord user ID
+ */
+export function isUserQueuedOrPlaying(guildId, userId) {
+  return getQueueConfigs().some(({ channelName }) => getQueue(guildId, channelName).has(userId))
+    || isUserInReadyCheck(userId)
+    || isUserInActiveMatch(userId);
+}
+
+// Why a player (the one who clicked, or a member of their party) cannot join a queue, null if they can
+async function getQueueJoinBlocker(interaction, queueConfig, userId) {
+  const guildId = interaction.guild.id;
+  const channelName = queueConfig.channelName;
+  const self = userId === interaction.user.id;
+  const who = self ? "You are" : `<@${userId}> is`;
+
+  const q = getQueue(guildId, channelName);
+  if (q.has(userId)) {
+    console.log(`[Queue] Player ${userId} already in ${channelName}. Queue: ${[...q].join(', ')}`);
+    return self ? "You already in queue." : `${who} already in queue.`;
+  }
+
+  const otherQueue = isUserInOtherQueue(userId, channelName, guildId);
+  if (otherQueue) {
+    console.log(`[Queue] Player ${userId} already in ${otherQueue}`);
+    return `${who} already in the ${otherQueue} queue. Please leave it first.`;
+  }
+
+  const requiredRoles = queueConfig.requiredRoles;
+  if (requiredRoles && requiredRoles.length > 0) {
+    const member = self ? interaction.member : await interaction.guild.members.fetch(userId).catch(() => null);
+    const hasRole = member?.roles.cache.some(r => requiredRoles.includes(r.name.toLowerCase()));
+    if (!hasRole) return `${self ? "You need" : `<@${userId}> needs`} one of these roles to join: ${requiredRoles.join(', ')}.`;
+  }
+
+  if (queueConfig.minPoints != null || queueConfig.maxPoints != null) {
+    const user = await getCachedUser(userId);
+    const points = user?.points ?? 1000;
+    if ((queueConfig.minPoints != null && points < queueConfig.minPoints) || (queueConfig.maxPoints != null && points > queueConfig.maxPoints)) {
+      return `This queue is for players between ${queueConfig.minPoints ?? 0} and ${queueConfig.maxPoints ?? "∞"} points (${self ? "you have" : `<@${userId}> has`} ${points}).`;
+    }
+  }
+
+  if (await isUserDodgeBanned(userId)) {
+    const timeLeft = await getDodgeBanTimeLeft(userId);
+    return `${who} banned from queue for ${timeLeft} more minutes.`;
+  }
+
+  if (isUserInActiveMatch(userId)) {
+    return self ? "You already in game." : `${who} already in game.`;
+  }
+
+  if (isUserInReadyCheck(userId)) {
+    return self ? "You have a match waiting for you to accept." : `<@${userId}> has a match waiting for them to accept.`;
+  }
+  return null;
+}
+
 function getRankByPoints(points) {
   for (const [rankName, range] of Object.entries(RANK_SYSTEM)) {
     if (points >= range.min && points <= range.max) {
@@ -265,20 +469,15 @@ async function syncPlayerRank(guild, userId, newPoints) {
   }
 }
 
-function isUserDodgeBanned(userId) {
-  const banData = dodgeBans.get(userId);
-  if (!banData) return false;
-  if (Date.now() >= banData.timestamp) {
-    dodgeBans.delete(userId);
-    return false;
-  }
-  return true;
+async function isUserDodgeBanned(userId) {
+  const sanction = await getActiveSanction(userId).catch(() => null);
+  return !!sanction;
 }
 
-function getDodgeBanTimeLeft(userId) {
-  const banData = dodgeBans.get(userId);
-  if (!banData || Date.now() >= banData.timestamp) return 0;
-  return Math.ceil((banData.timestamp - Date.now()) / 60000); // minutes left
+async function getDodgeBanTimeLeft(userId) {
+  const sanction = await getActiveSanction(userId).catch(() => null);
+  if (!sanction) return 0;
+  return Math.ceil((sanction.expiresAt.getTime() - Date.now()) / 60000); // minutes left
 }
 
 async function getNextGameIndex() {
@@ -290,33 +489,321 @@ async function getNextGameIndex() {
   }
 }
 
-async function createGameChannelForSix(client, guild, playerIds, queueChannelName = QUEUE_CHANNEL_NAME) {
-  let category = guild.channels.cache.find(c => c.type === ChannelType.GuildCategory && c.name === CATEGORY_GAMES);
-  if (!category) {
-    category = await guild.channels.create({ name: CATEGORY_GAMES, type: ChannelType.GuildCategory });
+// Order in which captains pick the remaining players
+// "snake": A B B A A B B A ..., "alternate": A B A B ...
+function buildPickSequence(pickCount, pickOrder = "snake") {
+  const sequence = [];
+  for (let i = 0; i < pickCount; i++) {
+    if (pickOrder === "alternate") sequence.push(i % 2 === 0 ? "A" : "B");
+    else sequence.push(i % 4 === 0 || i % 4 === 3 ? "A" : "B");
   }
+  return sequence;
+}
 
-  const nextIndex = String(await getNextGameIndex()).padStart(2, "0");
-  let queueType = "general";
-  if (queueChannelName === QUEUE_ADVANCED_CHANNEL_NAME) {
-    queueType = "advanced";
-  } else if (queueChannelName === QUEUE_CHALLENGER_CHANNEL_NAME) {
-    queueType = "challenger";
-  } else if (queueChannelName === QUEUE_ELITE_CHANNEL_NAME) {
-    queueType = "elite";
-  } else if (queueChannelName === QUEUE_PRO_CHANNEL_NAME) {
-    queueType = "pro";
-  }
-  const name = `${nextIndex}-v3-${queueType}`;
+// Side ("A" or "B") whose captain picks next, null once the draft is over.
+// Party members placed with their mate count as picks; a full team hands its turn over.
+function getPickingSide(state) {
+  if (state.remaining.size === 0) return null;
+  const picksDone = state.teamA.size + state.teamB.size - 2;
+  const side = state.pickSequence[picksDone] || "A";
+  const team = side === "A" ? state.teamA : state.teamB;
+  return team.size < state.players.size / 2 ? side : side === "A" ? "B" : "A";
+}
+
+// Remaining players split by party: a pick takes the whole group
+function getDraftGroups(state, playerIds = [...state.remaining]) {
+  const groups = [];
+  for (const id of playerIds) {
+    if (groups.some(g => g.includes(id))) continue;
+    const party = state.parties.find(p => p.includes(id));
+    groups.push(party ? party.filter(m => playerIds.includes(m)) : [id]);
+  }
+  return groups;
+}
+
+/**
+ * Place the draft players whose team is already decided: everyone left once the other
+ * team is full, or the last party (or player) left, which goes to the picking side
+ * @param {Function} [onPlace] - Called with (userId, side) after each player is placed
+ */
+async function settleDraft(state, onPlace = async () => {}) {
+  const teamSize = state.players.size / 2;
+  while (state.remaining.size > 0) {
+    const side = getPickingSide(state);
+    const team = side === "A" ? state.teamA : state.teamB;
+    const otherTeam = side === "A" ? state.teamB : state.teamA;
+    if (otherTeam.size < teamSize && getDraftGroups(state).length > 1) return;
+    for (const uid of [...state.remaining].slice(0, teamSize - team.size)) {
+      state.remaining.delete(uid);
+      team.add(uid);
+      await onPlace(uid, side);
+    }
+  }
+}
 
+// Majority of the lobby (4 of 6, 3 of 4, 2 of 2, ...)
+function getVoteThreshold(state) {
+  return Math.floor(state.players.size / 2) + 1;
+}
+
+function isUserInReadyCheck(userId) {
+  for (const check of readyChecks.values()) {
+    if (check.players.includes(userId)) return true;
+  }
+  return false;
+}
+
+function buildReadyCheckContent(check) {
+  const lines = check.players.map(id => `${check.accepted.has(id) ? "✅" : "⏳"} <@${id}>`);
+  return `**Match found — ${getQueueDisplayName(check.channelName)}** (${check.accepted.size}/${check.players.length} ready)\n` +
+    `Accept <t:${Math.floor(check.expiresAt / 1000)}:R> or you will be banned from queue for ${READY_CHECK_BAN / 60000} minutes.\n` +
+    lines.join("\n");
+}
+
+function buildReadyCheckRow(checkId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`ready:${checkId}`).setLabel("Accept").setStyle(ButtonStyle.Success)
+  );
+}
+
+// Party members of these players, not counting the players themselves
+function getPartyMates(guildId, userIds) {
+  const mates = userIds.flatMap(id => getParty(guildId, id)?.memberIds || []);
+  return [...new Set(mates)].filter(id => !userIds.includes(id));
+}
+
+// First players of the queue that fill a lobby without splitting a party, null if there are not enough
+function selectLobbyPlayers(guildId, q, queueSize) {
+  const players = [];
+  for (const id of q) {
+    if (players.includes(id)) continue;
+    const party = getParty(guildId, id);
+    const group = party ? party.memberIds.filter(m => q.has(m)) : [id];
+    if (players.length + group.length <= queueSize) players.push(...group);
+    if (players.length === queueSize) return players;
+  }
+  return null;
+}
+
+// Once a queue is full, its first players get a ready check instead of a game channel
+async function startMatchIfQueueFull(client, guild, channelName) {
+  const q = getQueue(guild.id, channelName);
+  const queueSize = getQueueSize(getQueueConfig(channelName));
+  if (q.size < queueSize || process.env.SIM_MODE === '1') return;
+
+  // Acquire lock to prevent race conditions when creating game
+  const unlock = await acquireGameCreationLock(guild.id, channelName);
+  try {
+    // Re-check queue size after acquiring lock (another request might have taken players)
+    const players = selectLobbyPlayers(guild.id, q, queueSize);
+    if (players) {
+      await startReadyCheck(client, guild, players, channelName);
+    }
+  } finally {
+    unlock();
+  }
+}
+
+/**
+ * Ask a full lobby to accept before the game channel is created.
+ * Players leave the in-memory queue, but their queue_entries rows are kept until the
+ * check resolves: after a restart they are simply back in queue.
+ */
+async function startReadyCheck(client, guild, players, channelName) {
+  const q = getQueue(guild.id, channelName);
+  const channel = guild.channels.cache.find(c => c.type === ChannelType.GuildText && c.name === channelName);
+  if (!channel) {
+    await removeFromQueue(guild.id, channelName, players);
+    await createGameChannel(client, guild, players, channelName);
+    return;
+  }
+
+  for (const id of players) q.delete(id);
+  const checkId = String(nextReadyCheckId++);
+  const check = {
+    guildId: guild.id,
+    channelName,
+    players,
+    accepted: new Set(),
+    expiresAt: Date.now() + READY_CHECK_TIMEOUT,
+    message: null,
+    timer: null
+  };
+  readyChecks.set(checkId, check);
+  check.timer = setTimeout(() => {
+    failReadyCheck(client, guild, checkId).catch(err => console.error("Ready check timeout error", err));
+  }, READY_CHECK_TIMEOUT);
+
+  // Plain content (no embed) so it is never mistaken for the queue message
+  check.message = await channel.send({ content: buildReadyCheckContent(check), components: [buildReadyCheckRow(checkId)] }).catch(() => null);
+  await updateQueueMessage(client, guild, channelName);
+  scheduleCurrentQueueUpdate(client, guild, getQueue);
+}
+
+async function acceptReadyCheck(client, interaction, checkId) {
+  const check = readyChecks.get(checkId);
+  const userId = interaction.user.id;
+  if (!check) {
+    await interaction.reply({ content: "This ready check is over.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+  if (!check.players.includes(userId)) {
+    await interaction.reply({ content: "You are not part of this match.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+  if (check.accepted.has(userId)) {
+    await interaction.reply({ content: "You already accepted.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  check.accepted.add(userId);
+  if (check.accepted.size < check.players.length) {
+    await interaction.update({ content: buildReadyCheckContent(check), components: [buildReadyCheckRow(checkId)] });
+    return;
+  }
+
+  clearTimeout(check.timer);
+  readyChecks.delete(checkId);
+  await interaction.update({ content: `**Everyone is ready — ${getQueueDisplayName(check.channelName)}**. Creating the game channel...`, components: [] });
+  setTimeout(() => interaction.message.delete().catch(() => {}), 10000);
+
+  await removeFromQueue(check.guildId, check.channelName, check.players);
+  const unlock = await acquireGameCreationLock(check.guildId, check.channelName);
+  try {
+    await createGameChannel(client, interaction.guild, check.players, check.channelName);
+  } finally {
+    unlock();
+  }
+}
+
+async function failReadyCheck(client, guild, checkId) {
+  const check = readyChecks.get(checkId);
+  if (!check) return;
+  readyChecks.delete(checkId);
+
+  const missing = check.players.filter(id => !check.accepted.has(id));
+  // A party leaves the queue together with its members who missed the check
+  const partyMates = getPartyMates(check.guildId, missing);
+  const ready = check.players.filter(id => check.accepted.has(id) && !partyMates.includes(id));
+
+  for (const id of missing) {
+    await issueSanction({
+      discordId: id,
+      type: "afk",
+      durationMs: READY_CHECK_BAN,
+      reason: `Missed the ready check in ${check.channelName}`
+    }).catch(err => console.error("Error issuing AFK sanction:", err));
+  }
+  await removeFromQueue(check.guildId, check.channelName, [...missing, ...partyMates]);
+
+  // Accepted players go back to the front (their queue rows still have the original join time)
+  const unlockQueue = await acquireQueueLock(check.guildId, check.channelName);
+  try {
+    const q = getQueue(check.guildId, check.channelName);
+    const waiting = [...q];
+    q.clear();
+    for (const id of [...ready, ...waiting]) q.add(id);
+    for (const id of ready) {
+      const times = queueTimes.get(id);
+      if (times) times.activeAt = Date.now();
+    }
+  } finally {
+    unlockQueue();
+  }
+
+  if (check.message) {
+    let content = `**Ready check failed**: ${missing.map(id => `<@${id}>`).join(" ")} did not accept and ${missing.length > 1 ? "are" : "is"} banned from queue for ${READY_CHECK_BAN / 60000} minutes.`;
+    if (partyMates.length) content += `\n${partyMates.map(id => `<@${id}>`).join(" ")} left the queue with their party.`;
+    if (ready.length) content += `\n${ready.map(id => `<@${id}>`).join(" ")} ${ready.length > 1 ? "are" : "is"} back at the front of the queue.`;
+    await check.message.edit({ content, components: [] }).catch(() => {});
+    setTimeout(() => check.message.delete().catch(() => {}), 30000);
+  }
+
+  // Tournament matches may have waited for these players
+  await retryWaitingTournamentMatches(client, guild).catch(err => console.error("Error starting waiting tournament matches:", err));
+
+  await updateQueueMessage(client, guild, check.channelName);
+  scheduleCurrentQueueUpdate(client, guild, getQueue);
+  await startMatchIfQueueFull(client, guild, check.channelName);
+}
+
+// Private match channel: only the players (and the bot) can see it
+function buildMatchOverwrites(client, guild, playerIds, permissions) {
   const overwrites = [
     { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
-    { id: client.user.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory] }
+    { id: client.user.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.MoveMembers, ...permissions] }
   ];
   for (const uid of playerIds) {
-    overwrites.push({ id: uid, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory] });
+    overwrites.push({ id: uid, allow: [PermissionFlagsBits.ViewChannel, ...permissions] });
+  }
+  return overwrites;
+}
+
+/**
+ * Create the Team A / Team B voice channels once the teams are final,
+ * and move players waiting in the lobby voice channel into theirs
+ */
+async function createTeamVoiceChannels(client, textChannel, state) {
+  const guild = textChannel.guild;
+  const overwrites = buildMatchOverwrites(client, guild, [...state.players], [PermissionFlagsBits.Connect, PermissionFlagsBits.Speak]);
+  state.voiceChannelIds = {};
+  for (const side of ["A", "B"]) {
+    const voiceChannel = await guild.channels.create({
+      name: `${textChannel.name} Team ${side}`,
+      type: ChannelType.GuildVoice,
+      parent: textChannel.parentId,
+      permissionOverwrites: overwrites
+    });
+    state.voiceChannelIds[side] = voiceChannel.id;
+
+    for (const uid of side === "A" ? state.teamA : state.teamB) {
+      const member = await guild.members.fetch(uid).catch(() => null);
+      if (member?.voice?.channel?.name.toLowerCase() === LOBBY_VOICE_CHANNEL) {
+        await member.voice.setChannel(voiceChannel).catch(() => {});
+      }
+    }
+  }
+}
+
+/**
+ * Delete the team voice channels of a match, sending anyone still inside back to the lobby
+ * @param {Guild} guild
+ * @param {Object} state - Match state
+ */
+export async function deleteMatchVoiceChannels(guild, state) {
+  if (!state.voiceChannelIds) return;
+  const lobby = guild.channels.cache.find(c => c.type === ChannelType.GuildVoice && c.name.toLowerCase() === LOBBY_VOICE_CHANNEL);
+  for (const id of Object.values(state.voiceChannelIds)) {
+    const voiceChannel = await guild.channels.fetch(id).catch(() => null);
+    if (!voiceChannel) continue;
+    if (lobby) {
+      for (const member of voiceChannel.members.values()) {
+        await member.voice.setChannel(lobby).catch(() => {});
+      }
+    }
+    await voiceChannel.delete().catch(() => {});
+  }
+  state.voiceChannelIds = null;
+}
+
+/**
+ * Create the private game channel of a match and start its draft (or its map veto)
+ * @param {Object} [options]
+ * @param {{ A: string[], B: string[] }} [options.teams] - Fixed teams, captains first: no draft
+ * @param {number} [options.bestOf] - Overrides the queue's series length
+ * @param {string} [options.label] - Channel name suffix instead of the queue name
+ */
+async function createGameChannel(client, guild, playerIds, queueChannelName = DEFAULT_QUEUE_NAME, options = {}) {
+  let category = guild.channels.cache.find(c => c.type === ChannelType.GuildCategory && c.name === CATEGORY_GAMES);
+  if (!category) {
+    category = await guild.channels.create({ name: CATEGORY_GAMES, type: ChannelType.GuildCategory });
   }
 
+  const nextIndex = String(await getNextGameIndex()).padStart(2, "0");
+  const name = `${nextIndex}-${options.label || queueChannelName}`;
+
+  const overwrites = buildMatchOverwrites(client, guild, playerIds, [PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory]);
+
   const textChannel = await guild.channels.create({
     name,
     type: ChannelType.GuildText,
@@ -324,41 +811,96 @@ async function createGameChannelForSix(client, guild, playerIds, queueChannelNam
     permissionOverwrites: overwrites
   });
 
-  // Select captains based on points: 1st captain = highest points, 2nd captain = 2nd highest points
+  const queueConfig = getQueueConfig(queueChannelName);
+  const teamMode = options.teams ? "fixed" : (queueConfig?.teamMode || "draft");
+  const parties = options.teams ? [] : getLobbyParties(guild.id, playerIds);
+  const partyOf = id => parties.find(p => p.includes(id)) || [id];
   const users = await User.findAll({ where: { discordId: playerIds } });
-  const sortedByPoints = users.sort((a, b) => b.points - a.points);
-  const captainB = sortedByPoints[0].discordId; // 1st highest points
-  const captainA = sortedByPoints[1].discordId; // 2nd highest points
-  const others = playerIds.filter(id => id !== captainA && id !== captainB);
+  const pointsById = new Map(users.map(u => [u.discordId, u.points]));
+  const byPointsDesc = (a, b) => (pointsById.get(b) ?? 1000) - (pointsById.get(a) ?? 1000);
+
+  let teamA;
+  let teamB;
+  if (options.teams) {
+    teamA = [...options.teams.A];
+    teamB = [...options.teams.B];
+  } else if (teamMode === "balanced") {
+    // Teams computed up front, highest rated player of each team is captain (for bans)
+    const teammateCounts = queueConfig?.penalizeRecentTeammates ? await getRecentTeammateCounts(playerIds) : null;
+    const balanced = findBalancedTeams(playerIds, pointsById, teammateCounts, parties);
+    teamA = balanced.teamA.sort(byPointsDesc);
+    teamB = balanced.teamB.sort(byPointsDesc);
+  } else {
+    // Captains come from different parties, their party mates start on their team
+    let candidates;
+    if (teamMode === "random") {
+      candidates = [...playerIds].sort(() => Math.random() - 0.5);
+    } else {
+      // The two highest rated players captain
+      candidates = [...playerIds].sort(byPointsDesc);
+    }
+    const first = candidates[0];
+    const second = candidates.find(id => !partyOf(first).includes(id));
+    // Coin flip for sides, so the highest rated captain is not always on the same side of the draft and veto
+    const [captainIdA, captainIdB] = Math.random() < 0.5 ? [first, second] : [second, first];
+    teamA = [captainIdA, ...partyOf(captainIdA).filter(id => id !== captainIdA)];
+    teamB = [captainIdB, ...partyOf(captainIdB).filter(id => id !== captainIdB)];
+  }
+  const captainA = teamA[0];
+  const captainB = teamB[0];
+  const others = playerIds.filter(id => !teamA.includes(id) && !teamB.includes(id));
+  const mapPool = getMapPool(queueChannelName).map(m => m.name);
+  const bestOf = options.bestOf || queueConfig?.bestOf || 1;
 
   const state = {
     guildId: guild.id,
+    queueName: queueChannelName,
     players: new Set(playerIds),
     captainA,
     captainB,
-    teamA: new Set([captainA]),
-    teamB: new Set([captainB]),
+    teamA: new Set(teamA),
+    teamB: new Set(teamB),
     remaining: new Set(others),
-    phase: "A1",
+    pickSequence: buildPickSequence(playerIds.length - 2, queueConfig?.pickOrder),
+    teamMode,
+    parties, // Groups of lobby players from the same party
+    // Balanced teams or 1v1: nothing to draft
+    phase: others.length > 0 ? "PICK" : "VETO",
     messageId: null,
     banMessageId: null,
     voteMessageId: null,
     matchId: null,
     teamAId: null,
     teamBId: null,
-    availableMaps: [...MAPS],
+    availableMaps: mapPool,
     bannedMaps: [],
+    vetoSteps: getSeriesVetoSteps(queueConfig?.vetoFormat, bestOf, mapPool.length),
+    vetoLog: [], // { action, side, map } per step played
+    selectedMaps: [], // Picks and decider, in play order
     selectedMap: null,
     finalized: false,
     voteStartTime: null, // Track when voting phase started for dodge time limit
+    bestOf,
+    games: [], // { gameNumber, mapName, winnerKey, evidenceUrl } per game decided
+    gameStartTime: null, // When the vote of the current game opened
+    voiceChannelIds: null, // { A, B } team voice channels, created after the draft
+    evidence: null, // { url, uploaderId } scoreboard screenshot
     createdAt: Date.now() // For memory cleanup
   };
+  await settleDraft(state);
+  if (state.remaining.size === 0) state.phase = "VETO";
 
   const msg = await textChannel.send(await buildDraftPayload(textChannel, state));
   state.messageId = msg.id;
   matches.set(textChannel.id, state);
   await persistMatchSetup(textChannel, state);
 
+  if (state.phase === "VETO") {
+    await createTeamVoiceChannels(client, textChannel, state).catch(err => console.error("Error creating team voice channels:", err));
+    await advanceMapVeto(textChannel, state);
+    await persistMatchState(state);
+  }
+
   // Ping all players in the newly created match channel
   try {
     const mentions = playerIds.map(id => `<@${id}>`).join(' ');
@@ -368,46 +910,69 @@ async function createGameChannelForSix(client, guild, playerIds, queueChannelNam
   return state;
 }
 
+/**
+ * Start a match between teams that are already known (tournaments): no ready check
+ * and no draft, the players leave any queue they were waiting in
+ * @param {Client} client
+ * @param {Guild} guild
+ * @param {Object} match
+ * @param {string[]} match.teamA - Discord IDs, captain first
+ * @param {string[]} match.teamB - Discord IDs, captain first
+ * @param {string} match.queueName - Queue whose map pool and veto format are used
+ * @param {number} [match.bestOf]
+ * @param {string} [match.label] - Game channel name suffix
+ * @returns {Promise<{ state: Object|null, busyIds: string[] }>} Match state, or the players
+ *   still in another match or a ready check (no channel is created then)
+ */
+export async function startFixedTeamsMatch(client, guild, { teamA, teamB, queueName, bestOf, label }) {
+  const players = [...teamA, ...teamB];
+  const busyIds = players.filter(id => isUserInActiveMatch(id) || isUserInReadyCheck(id));
+  if (busyIds.length > 0) return { state: null, busyIds };
+
+  for (const config of getQueueConfigs()) {
+    const q = getQueue(guild.id, config.channelName);
+    if (!players.some(id => q.has(id))) continue;
+    const unlockQueue = await acquireQueueLock(guild.id, config.channelName);
+    try {
+      await removeFromQueue(guild.id, config.channelName, players.filter(id => q.has(id)));
+    } finally {
+      unlockQueue();
+    }
+    await updateQueueMessage(client, guild, config.channelName);
+  }
+  scheduleCurrentQueueUpdate(client, guild, getQueue);
+
+  const state = await createGameChannel(client, guild, players, queueName, { teams: { A: teamA, B: teamB }, bestOf, label });
+  return { state, busyIds: [] };
+}
+
 async function buildDraftPayload(channel, state) {
   const guild = channel.guild;
   const teamAList = [...state.teamA].map(id => `<@${id}>`).join(" ");
   const teamBList = [...state.teamB].map(id => `<@${id}>`).join(" ");
 
-  let instruction = "";
-  if (state.phase === "A1") instruction = `Captain A (<@${state.captainA}>) pick 1 player`;
-  else if (state.phase === "B1") instruction = `Captain B (<@${state.captainB}>) pick 1st player`;
-  else if (state.phase === "B2") instruction = `Captain B (<@${state.captainB}>) pick 2nd player`;
-  else instruction = "Draft complete";
+  let instruction = state.teamMode === "balanced" ? "Teams balanced by rating" : state.teamMode === "fixed" ? "Fixed teams" : "Draft complete";
+  const pickingSide = state.phase === "PICK" ? getPickingSide(state) : null;
+  if (pickingSide) {
+    const captainId = pickingSide === "A" ? state.captainA : state.captainB;
+    const pickNumber = state.teamA.size + state.teamB.size - 1;
+    instruction = `Captain ${pickingSide} (<@${captainId}>) pick a player (pick ${pickNumber}/${state.pickSequence.length})`;
+  }
 
   const embed = new EmbedBuilder()
-    .setTitle("Draft — General Queue V3")
+    .setTitle(`Draft — ${getQueueDisplayName(state.queueName)}`)
     .addFields(
       { name: "Team A", value: teamAList || "—" },
       { name: "Team B", value: teamBList || "—" },
       { name: "Instruction", value: instruction }
     );
 
-  // Build players list with points
-  let playersList = "";
-  for (const id of state.players) {
-    try {
-      const user = await getCachedUser(id);
-      const points = user?.points || 1000;
-      const member = await guild.members.fetch(id);
-      // Use username only, not displayName (which might include points already)
-      const name = member.user.username;
-      playersList += `${points} - ${name}\n`;
-    } catch (err) {
-      playersList += `1000 - <@${id}>\n`;
-    }
-  }
-
   const components = await buildPickRows(guild, channel.id, state);
   return { embeds: [embed], components };
 }
 
 async function buildPickRows(guild, channelId, state) {
-  if (!(state.phase === "A1" || state.phase === "B1" || state.phase === "B2")) return [];
+  if (state.phase !== "PICK") return [];
   const remaining = Array.from(state.remaining || []);
   if (remaining.length === 0) return [];
 
@@ -424,6 +989,7 @@ async function buildPickRows(guild, channelId, state) {
         label = m.user?.username || m.displayName || uid;
       }
     } catch {}
+    if (state.parties.some(p => p.includes(uid))) label += " 👥";
     const btn = new ButtonBuilder().setCustomId(`pick:${channelId}:${uid}`).setLabel(label).setStyle(ButtonStyle.Secondary);
     currentRow.addComponents(btn);
     if (currentRow.components.length === 5) {
@@ -435,32 +1001,56 @@ async function buildPickRows(guild, channelId, state) {
   return rows;
 }
 
-async function updateDbOnPick(state, pickedId) {
+async function updateDbOnPick(state, pickedId, side) {
   if (!state.matchId) return;
   try {
-    const teamId = state.phase === "A1" ? state.teamAId : state.teamBId;
-    const countA = state.teamA.size;
-    const countB = state.teamB.size;
-    const pickOrder = state.phase === "A1" ? countA : countB;
+    const teamId = side === "A" ? state.teamAId : state.teamBId;
+    const pickOrder = side === "A" ? state.teamA.size : state.teamB.size;
     await MatchPlayer.update({ teamId, pickOrder }, { where: { matchId: state.matchId, discordId: pickedId } }).catch(() => {});
   } catch (err) {
     console.error("Error updating DB on pick:", err);
   }
 }
 
-async function postBanMessage(channel, state) {
-  const embed = new EmbedBuilder()
-    .setTitle("Map Bans — General Queue V3")
-    .setDescription("Each captain bans 1 map.")
+function describeVetoStep(step) {
+  return step.action === "decider" ? "Decider (random)" : `Team ${step.side} ${step.action}`;
+}
+
+// Veto sequence with the steps already played, then who acts next
+function buildVetoEmbed(state) {
+  const lines = state.vetoSteps.map((step, i) => {
+    const done = state.vetoLog[i];
+    if (done) return `✅ ${describeVetoStep(step)}: ${done.action === "ban" ? `~~${done.map}~~` : `**${done.map}**`}`;
+    return `${i === state.vetoLog.length ? "▶️" : "▫️"} ${describeVetoStep(step)}`;
+  });
+  const step = getCurrentVetoStep(state);
+  const instruction = step
+    ? `Captain ${step.side} (<@${step.side === "A" ? state.captainA : state.captainB}>) ${step.action === "ban" ? "bans" : "picks"} a map`
+    : `Veto complete. Map${state.selectedMaps.length > 1 ? "s" : ""}: ${state.selectedMaps.join(", ") || "—"}`;
+
+  return new EmbedBuilder()
+    .setTitle(`Map Veto — ${getQueueDisplayName(state.queueName)}`)
+    .setDescription(lines.join("\n"))
     .addFields(
-      { name: "Available Maps", value: state.availableMaps.join(", ") },
-      { name: "Instruction", value: `Captain A (<@${state.captainA}>) bans first` }
+      { name: "Available Maps", value: state.availableMaps.join(", ") || "—" },
+      { name: "Instruction", value: instruction }
     );
+}
 
+// One button per map still available, 5 per row
+function buildVetoRows(channel, state) {
+  const step = getCurrentVetoStep(state);
+  if (!step) return [];
+  const pool = getMapPool(state.queueName);
   const rows = [];
   let currentRow = new ActionRowBuilder();
   for (const map of state.availableMaps) {
-    const btn = new ButtonBuilder().setCustomId(`ban:${channel.id}:${map}`).setLabel(map).setStyle(ButtonStyle.Secondary);
+    const btn = new ButtonBuilder()
+      .setCustomId(`veto:${channel.id}:${map}`)
+      .setLabel(map)
+      .setStyle(step.action === "pick" ? ButtonStyle.Success : ButtonStyle.Secondary);
+    const emoji = findMapEmoji(channel.guild, pool.find(m => m.name === map));
+    if (emoji) btn.setEmoji(emoji.id);
     currentRow.addComponents(btn);
     if (currentRow.components.length === 5) {
       rows.push(currentRow);
@@ -468,16 +1058,64 @@ async function postBanMessage(channel, state) {
     }
   }
   if (currentRow.components.length > 0) rows.push(currentRow);
+  return rows;
+}
+
+/**
+ * Play the automatic steps, then show the next veto step or, once the veto is over, start the vote
+ */
+async function advanceMapVeto(channel, state) {
+  runAutomaticVetoSteps(state);
+  if (isVetoComplete(state)) {
+    state.selectedMap = getGameMap(state, 1);
+    state.phase = "VOTE";
+    state.voteStartTime = Date.now(); // Track when voting started for dodge timer
+    state.gameStartTime = state.voteStartTime;
+  }
+
+  const payload = { content: `${BAN_TAG} Captains veto maps.`, embeds: [buildVetoEmbed(state)], components: buildVetoRows(channel, state) };
+  const msg = state.banMessageId ? await channel.messages.fetch(state.banMessageId).catch(() => null) : null;
+  if (msg) await msg.edit(payload);
+  else state.banMessageId = (await channel.send(payload)).id;
 
-  const msg = await channel.send({ content: `${BAN_TAG} Captains ban maps.`, embeds: [embed], components: rows });
-  state.banMessageId = msg.id;
+  if (state.phase === "VOTE") {
+    await postSelectedMapMessage(channel, state);
+    await postVoteMessage(channel, state);
+  }
+}
+
+/**
+ * Map of a game of the series: the veto's picks in order. When the veto chose fewer maps
+ * than games (the pool shrank since the queue was configured), a random map left over
+ * is added, or the last map is played again
+ */
+function getGameMap(state, gameNumber) {
+  if (state.selectedMaps.length < gameNumber && state.availableMaps.length > 0) {
+    const map = state.availableMaps[Math.floor(Math.random() * state.availableMaps.length)];
+    state.availableMaps = state.availableMaps.filter(m => m !== map);
+    state.selectedMaps.push(map);
+  }
+  return state.selectedMaps[gameNumber - 1] || state.selectedMaps[state.selectedMaps.length - 1] || null;
+}
+
+function getCurrentGameNumber(state) {
+  return state.games.length + 1;
+}
+
+// Games won by each team so far
+function getSeriesScore(state) {
+  return {
+    A: state.games.filter(g => g.winnerKey === "A").length,
+    B: state.games.filter(g => g.winnerKey === "B").length
+  };
 }
 
 async function postSelectedMapMessage(channel, state) {
-  const mapImageUrl = getMapImageUrl(state.selectedMap);
+  const mapImageUrl = getMapImageUrl(state.selectedMap, state.queueName);
   if (!mapImageUrl) return;
+  const title = state.bestOf > 1 ? `Game ${getCurrentGameNumber(state)}: ${state.selectedMap}` : `Map choisie: ${state.selectedMap}`;
   const embed = new EmbedBuilder()
-    .setTitle(`Map choisie: ${state.selectedMap}`)
+    .setTitle(title)
     .setImage(mapImageUrl);
   await channel.send({ embeds: [embed] });
 }
@@ -486,16 +1124,29 @@ function buildVoteEmbed(state, votersA, votersB) {
   const teamBList = [...state.teamB].map(id => `<@${id}>`).join(" ") || "—";
   const votersAText = votersA && votersA.length ? votersA.map(id => `<@${id}>`).join(" ") : "—";
   const votersBText = votersB && votersB.length ? votersB.map(id => `<@${id}>`).join(" ") : "—";
-  return new EmbedBuilder()
-    .setTitle("Vote for Winner")
-    .setDescription(`Map: **${state.selectedMap}**`)
+  const threshold = getVoteThreshold(state);
+  const evidenceRequired = getQueueConfig(state.queueName)?.requireEvidence;
+  const evidenceText = state.evidence
+    ? `[Screenshot](${state.evidence.url}) by <@${state.evidence.uploaderId}>`
+    : `Upload a scoreboard screenshot in this channel${evidenceRequired ? " (required)" : ""}`;
+  let description = `Map: **${state.selectedMap}**`;
+  if (state.bestOf > 1) {
+    const score = getSeriesScore(state);
+    description += `\nSeries (best of ${state.bestOf}): Team A **${score.A} – ${score.B}** Team B`;
+  }
+  const embed = new EmbedBuilder()
+    .setTitle(state.bestOf > 1 ? `Vote for Winner — Game ${getCurrentGameNumber(state)}` : "Vote for Winner")
+    .setDescription(description)
     .addFields(
       { name: "Team A", value: teamAList },
       { name: "Team B", value: teamBList },
-      { name: "Threshold", value: `${VOTE_THRESHOLD} votes to finalize` },
-      { name: `Votes Team A (${votersA.length}/${VOTE_THRESHOLD})`, value: votersAText },
-      { name: `Votes Team B (${votersB.length}/${VOTE_THRESHOLD})`, value: votersBText }
+      { name: "Threshold", value: `${threshold} votes to finalize` },
+      { name: `Votes Team A (${votersA.length}/${threshold})`, value: votersAText },
+      { name: `Votes Team B (${votersB.length}/${threshold})`, value: votersBText },
+      { name: "Evidence", value: evidenceText }
     );
+  if (state.evidence) embed.setThumbnail(state.evidence.url);
+  return embed;
 }
 
 async function postVoteMessage(channel, state) {
@@ -504,13 +1155,13 @@ async function postVoteMessage(channel, state) {
     new ButtonBuilder().setCustomId(`vote:${channel.id}:A`).setLabel("Vote Team A").setStyle(ButtonStyle.Success),
     new ButtonBuilder().setCustomId(`vote:${channel.id}:B`).setLabel("Vote Team B").setStyle(ButtonStyle.Primary)
   );
-  const msg = await channel.send({ content: `${VOTE_TAG} Players, vote the winner.`, embeds: [embed], components: [row] });
+  const msg = await channel.send({ content: `${VOTE_TAG} Players, vote the winner and upload a screenshot of the scoreboard.`, embeds: [embed], components: [row] });
   state.voteMessageId = msg.id;
 }
 
 async function updateVoteMessage(channel, state) {
   try {
-    const votes = await Vote.findAll({ where: { matchId: state.matchId } });
+    const votes = await Vote.findAll({ where: { matchId: state.matchId, gameNumber: getCurrentGameNumber(state) } });
     const votersA = votes.filter(v => v.voteForTeamId === state.teamAId).map(v => v.voterDiscordId);
     const votersB = votes.filter(v => v.voteForTeamId === state.teamBId).map(v => v.voterDiscordId);
     const embed = buildVoteEmbed(state, votersA, votersB);
@@ -537,84 +1188,196 @@ async function tryFinalize(channel, state) {
     if (!state.matchId) return false;
     if (state.finalized) return true;
 
-    const votes = await Vote.findAll({ where: { matchId: state.matchId } }).catch(() => []);
+    const gameNumber = getCurrentGameNumber(state);
+    const votes = await Vote.findAll({ where: { matchId: state.matchId, gameNumber } }).catch(() => []);
     const countA = votes.filter(v => v.voteForTeamId === state.teamAId).length;
     const countB = votes.filter(v => v.voteForTeamId === state.teamBId).length;
-    const winnerKey = countA >= VOTE_THRESHOLD ? "A" : (countB >= VOTE_THRESHOLD ? "B" : null);
-    if (!winnerKey) return false;
+    const threshold = getVoteThreshold(state);
+    const winnerKey = countA >= threshold ? "A" : (countB >= threshold ? "B" : null);
+    if (!winnerKey) {
+      // Everyone voted and neither team reached the threshold (e.g. 3-3)
+      if (votes.length >= state.players.size) {
+        await disputeMatch(channel, state, `votes deadlocked ${countA}-${countB}`);
+      }
+      return false;
+    }
+
+    if (getQueueConfig(state.queueName)?.requireEvidence && !state.evidence) {
+      if (!state.evidenceRequested) {
+        state.evidenceRequested = true;
+        await channel.send(`Team ${winnerKey} reached ${threshold} votes. Upload a screenshot of the scoreboard to confirm the result.`).catch(() => {});
+      }
+      return false;
+    }
+
+    return await recordGameResult(channel, state, winnerKey, gameNumber);
+  } catch (err) {
+    console.error("Error in tryFinalize:", err);
+    return false;
+  }
+}
+
+/**
+ * Record the winner of the current game (vote threshold reached, or settled by an admin
+ * with /resolve-match), then finalize the match once a team has won the series,
+ * or open the vote of the next game
+ * @param {TextChannel} channel - Game channel
+ * @param {Object} state - Match state
+ * @param {"A"|"B"} winnerKey - Team that won the game
+ * @param {number} [gameNumber] - Game the result is for, ignored if it is no longer the current one
+ * @returns {Promise<boolean>} true once the match is finalized
+ */
+export async function recordGameResult(channel, state, winnerKey, gameNumber = getCurrentGameNumber(state)) {
+  if (state.finalized) return true;
+  // Two votes reaching the threshold at once must not record the game twice
+  if (gameNumber !== getCurrentGameNumber(state)) return false;
+  state.games.push({ gameNumber, mapName: state.selectedMap, winnerKey, evidenceUrl: state.evidence?.url || null });
+
+  const votes = await Vote.findAll({ where: { matchId: state.matchId, gameNumber } }).catch(() => []);
+  await MatchGame.create({
+    matchId: state.matchId,
+    gameNumber,
+    mapName: state.selectedMap,
+    winnerTeamId: winnerKey === "A" ? state.teamAId : state.teamBId,
+    voteTally: {
+      A: votes.filter(v => v.voteForTeamId === state.teamAId).length,
+      B: votes.filter(v => v.voteForTeamId === state.teamBId).length
+    },
+    evidenceUrl: state.evidence?.url || null,
+    finishedAt: new Date()
+  }).catch(err => console.error("Error recording game result:", err));
+
+  const score = getSeriesScore(state);
+  const winsNeeded = Math.ceil(state.bestOf / 2);
+  if (score[winnerKey] >= winsNeeded) {
+    return finalizeMatch(channel, state, winnerKey);
+  }
+  await startNextGame(channel, state);
+  return false;
+}
+
+// Close the vote of the game just played and open the next one (also resumes a disputed series)
+async function startNextGame(channel, state) {
+  const previous = state.games[state.games.length - 1];
+  const voteMsg = await channel.messages.fetch(state.voteMessageId).catch(() => null);
+  if (voteMsg) await voteMsg.edit({ components: [] }).catch(() => {});
+
+  if (state.phase === "DISPUTED") {
+    await Match.update({ status: "draft" }, { where: { id: state.matchId } }).catch(() => {});
+    state.disputeChannelId = null;
+  }
+  state.phase = "VOTE";
+  state.selectedMap = getGameMap(state, getCurrentGameNumber(state));
+  state.evidence = null;
+  state.evidenceRequested = false;
+  state.gameStartTime = Date.now();
+
+  const score = getSeriesScore(state);
+  await channel.send(
+    `**Game ${previous.gameNumber}** (${previous.mapName || "—"}) won by Team ${previous.winnerKey}. ` +
+    `Series: Team A **${score.A} – ${score.B}** Team B. Next: game ${getCurrentGameNumber(state)} on **${state.selectedMap || "—"}**.`
+  ).catch(() => {});
+  await postSelectedMapMessage(channel, state);
+  await postVoteMessage(channel, state);
+  await persistMatchState(state);
+}
+
+/**
+ * Award points and post the result of a match whose winner is known
+ * (the series was won, see recordGameResult)
+ * @param {TextChannel} channel - Game channel
+ * @param {Object} state - Match state
+ * @param {"A"|"B"} winnerKey - Winning team
+ * @returns {Promise<boolean>} true once the match is finalized
+ */
+async function finalizeMatch(channel, state, winnerKey) {
+  try {
+    if (state.finalized) return true;
 
     const winners = winnerKey === "A" ? [...state.teamA] : [...state.teamB];
     const losers = winnerKey === "A" ? [...state.teamB] : [...state.teamA];
 
-    const beforeStats = {};
-    for (const uid of [...winners, ...losers]) {
-      const user = await getCachedUser(uid);
-      beforeStats[uid] = user ? { points: user.points || 1000 } : { points: 1000 };
-    }
+    // Read fresh rows (not the cache): the rating engine needs games played, RD and volatility
+    const users = await User.findAll({ where: { discordId: [...winners, ...losers] } }).catch(() => []);
+    const usersById = new Map(users.map(u => [u.discordId, u]));
+    const ratings = computeMatchRatings(winners, losers, usersById);
 
     const currentMatch = await Match.findByPk(state.matchId).catch(() => null);
     if (currentMatch?.status === "done") {
       state.finalized = true;
-    } else {
-      await Match.update({ status: "done" }, { where: { id: state.matchId } }).catch(() => {});
+      return true;
+    }
 
-      for (const wid of winners) {
-        await userUpdateLimiter.wait();
-        await User.increment({ wins: 1 }, { where: { discordId: wid } }).catch(() => {});
-        await userUpdateLimiter.wait();
-        await User.increment({ points: POINTS_WIN }, { where: { discordId: wid } }).catch(() => {});
-      }
-      for (const lid of losers) {
-        await userUpdateLimiter.wait();
-        await User.increment({ losses: 1 }, { where: { discordId: lid } }).catch(() => {});
-        await userUpdateLimiter.wait();
-        await User.increment({ points: -POINTS_LOSS }, { where: { discordId: lid } }).catch(() => {});
+    // Keep what is needed to analyse the match afterwards (vote tally of the deciding game)
+    const votes = await Vote.findAll({ where: { matchId: state.matchId, gameNumber: state.games.length || 1 } }).catch(() => []);
+    const finishedAt = new Date();
+    await Match.update({
+      status: "done",
+      winnerTeamId: winnerKey === "A" ? state.teamAId : state.teamBId,
+      queueName: state.queueName,
+      mapName: state.selectedMap,
+      bannedMaps: state.bannedMaps,
+      selectedMaps: state.selectedMaps,
+      finishedAt,
+      durationMs: state.createdAt ? finishedAt.getTime() - state.createdAt : null,
+      voteTally: {
+        A: votes.filter(v => v.voteForTeamId === state.teamAId).length,
+        B: votes.filter(v => v.voteForTeamId === state.teamBId).length
       }
+    }, { where: { id: state.matchId } }).catch(() => {});
 
-      // Sync ranks for all players
-      const guild = channel.guild;
-      for (const wid of winners) {
-        const user = await getCachedUser(wid);
-        if (user) await syncPlayerRank(guild, wid, user.points);
-      }
-      for (const lid of losers) {
-        const user = await getCachedUser(lid);
-        if (user) await syncPlayerRank(guild, lid, user.points);
+    for (const uid of [...winners, ...losers]) {
+      const { before, after, delta, ratingDeviation, volatility } = ratings.get(uid);
+      const isWinner = winners.includes(uid);
+      await userUpdateLimiter.wait();
+      await User.increment({ ...(isWinner ? { wins: 1 } : { losses: 1 }), points: delta }, { where: { discordId: uid } }).catch(() => {});
+      await User.update({ ratingDeviation, volatility }, { where: { discordId: uid } }).catch(() => {});
+      const user = usersById.get(uid);
+      if (user) {
+        await recordRatingChange({ userId: user.id, matchId: state.matchId, before, after, reason: isWinner ? "win" : "loss" });
       }
+    }
 
-      // Invalidate cache for all players after match finalization
-      invalidateUserCache([...winners, ...losers]);
-
-      state.finalized = true;
+    // Sync ranks for all players
+    const guild = channel.guild;
+    for (const uid of [...winners, ...losers]) {
+      await syncPlayerRank(guild, uid, ratings.get(uid).after);
     }
 
+    // Invalidate cache for all players after match finalization
+    invalidateUserCache([...winners, ...losers]);
+
+    state.finalized = true;
+
     const gameId = channel.name.split("-")[0];
     const winnerTeamName = winnerKey === "A" ? "Team A" : "Team B";
     const loserTeamName = winnerKey === "A" ? "Team B" : "Team A";
 
-    let resultsMsg = `**Game ${gameId} — Results**\n`;
-    resultsMsg += `Map: ${state.selectedMap}\n`;
-    resultsMsg += `Queue: General Queue V3\n\n`;
-    resultsMsg += `**Winner Team: (${winnerTeamName})**\n`;
-    for (const wid of winners) {
-      const user = await getCachedUser(wid);
-      const after = user?.points || (beforeStats[wid]?.points || 1000) + POINTS_WIN;
-      const before = beforeStats[wid]?.points || 1000;
-      const delta = after - before;
+    const formatResultLine = (uid) => {
+      const { before, after, delta } = ratings.get(uid);
       const displayDelta = delta >= 0 ? `[+${delta}]` : `[${delta}]`;
-      const displayName = user?.username || `${wid}`;
-      resultsMsg += `<@${wid}> — ${displayName} ${before} ⟶ ${after} ${displayDelta}\n`;
+      const displayName = usersById.get(uid)?.username || `${uid}`;
+      return `<@${uid}> — ${displayName} ${before} ⟶ ${after} ${displayDelta}\n`;
+    };
+
+    let resultsMsg = `**Game ${gameId} — Results**\n`;
+    if (state.bestOf > 1) {
+      const score = getSeriesScore(state);
+      resultsMsg += `Series: best of ${state.bestOf}, Team A **${score.A} – ${score.B}** Team B\n`;
+      const running = { A: 0, B: 0 };
+      for (const game of state.games) {
+        running[game.winnerKey]++;
+        resultsMsg += `Game ${game.gameNumber} — ${game.mapName || "—"}: Team ${game.winnerKey} (${running.A}–${running.B})\n`;
+      }
+    } else {
+      resultsMsg += `Map: ${state.selectedMap}\n`;
     }
+    resultsMsg += `Queue: ${getQueueDisplayName(state.queueName)}\n\n`;
+    resultsMsg += `**Winner Team: (${winnerTeamName})**\n`;
+    for (const wid of winners) resultsMsg += formatResultLine(wid);
     resultsMsg += `\n**Loser Team: (${loserTeamName})**\n`;
-    for (const lid of losers) {
-      const user = await getCachedUser(lid);
-      const after = user?.points || (beforeStats[lid]?.points || 1000) - POINTS_LOSS;
-      const before = beforeStats[lid]?.points || 1000;
-      const delta = after - before;
-      const displayDelta = delta >= 0 ? `[+${delta}]` : `[${delta}]`;
-      const displayName = user?.username || `${lid}`;
-      resultsMsg += `<@${lid}> — ${displayName} ${before} ⟶ ${after} ${displayDelta}\n`;
-    }
+    for (const lid of losers) resultsMsg += formatResultLine(lid);
+    if (state.evidence) resultsMsg += `\nEvidence uploaded by <@${state.evidence.uploaderId}>\n`;
 
 
     try {
@@ -628,7 +1391,11 @@ async function tryFinalize(channel, state) {
         if (!resultChannel) {
           resultChannel = await guild.channels.create({ name: "result", type: ChannelType.GuildText });
         }
-        await resultChannel.send({ content: resultsMsg }).catch(() => {});
+        // Re-upload the screenshots: the game channel (and its attachments) is deleted afterwards
+        const files = state.games.map(g => g.evidenceUrl).filter(Boolean).slice(0, 10);
+        await resultChannel.send({ content: resultsMsg, files })
+          .catch(() => resultChannel.send({ content: resultsMsg }))
+          .catch(() => {});
       } catch (errPost) {
         console.error("Error posting results to result channel", errPost);
       }
@@ -636,13 +1403,183 @@ async function tryFinalize(channel, state) {
       console.error("Error posting results", e);
     }
 
+    // Tournament matches move their bracket on
+    await onTournamentMatchFinalized(channel.client, channel.guild, state.matchId, winnerKey)
+      .catch(err => console.error("Error advancing tournament bracket:", err));
+
     return true;
   } catch (err) {
-    console.error("Error in tryFinalize:", err);
+    console.error("Error in finalizeMatch:", err);
     return false;
   }
 }
 
+/**
+ * Flag a match result as disputed: votes are closed and a ticket is opened for the admins
+ * @param {TextChannel} channel - Game channel
+ * @param {Object} state - Match state
+ * @param {string} reason - Why the result is disputed
+ */
+async function disputeMatch(channel, state, reason) {
+  if (state.finalized || state.phase === "DISPUTED") return;
+  state.phase = "DISPUTED";
+  await Match.update({ status: "disputed" }, { where: { id: state.matchId } }).catch(() => {});
+  await persistMatchState(state);
+
+  const votes = await Vote.findAll({ where: { matchId: state.matchId, gameNumber: getCurrentGameNumber(state) } }).catch(() => []);
+  const votersA = votes.filter(v => v.voteForTeamId === state.teamAId).map(v => v.voterDiscordId);
+  const votersB = votes.filter(v => v.voteForTeamId === state.teamBId).map(v => v.voterDiscordId);
+
+  const voteMsg = await channel.messages.fetch(state.voteMessageId).catch(() => null);
+  if (voteMsg) await voteMsg.edit({ components: [] }).catch(() => {});
+
+  const embed = buildVoteEmbed(state, votersA, votersB)
+    .setThumbnail(null)
+    .setImage(state.evidence?.url || null)
+    .setTitle(`Disputed result — Match #${state.matchId}`)
+    .setDescription(
+      `Reason: ${reason}\n` +
+      `Game channel: <#${channel.id}>\n` +
+      `Queue: ${getQueueDisplayName(state.queueName)}\n` +
+      `Map: **${state.selectedMap || "—"}**\n` +
+      (state.bestOf > 1 ? `Game ${getCurrentGameNumber(state)} of a best of ${state.bestOf}, the series resumes once it is settled\n` : "") +
+      `\nAdmins: settle with \`/resolve-match match:${state.matchId} winner:A|B|void\``
+    );
+
+  try {
+    const ticket = await openTicket(channel.guild, { creatorId: channel.client.user.id, memberIds: [...state.players], embed });
+    state.disputeChannelId = ticket.channel.id;
+    await channel.send(`**Result disputed** (${reason}). An admin will settle it in <#${ticket.channel.id}>.`);
+  } catch (err) {
+    console.error("Error opening dispute ticket:", err);
+    await channel.send(`**Result disputed** (${reason}). An admin will settle it.`).catch(() => {});
+  }
+}
+
+// Dispute matches stuck in the vote phase for longer than VOTE_TIMEOUT
+function startVoteTimeoutWatcher(client) {
+  setInterval(async () => {
+    const now = Date.now();
+    for (const [channelId, state] of matches.entries()) {
+      const startedAt = state.gameStartTime || state.voteStartTime;
+      if (state.phase !== "VOTE" || !startedAt || now - startedAt < VOTE_TIMEOUT) continue;
+      const channel = await client.channels.fetch(channelId).catch(() => null);
+      if (!channel) continue;
+      await disputeMatch(channel, state, `no result after ${Math.round(VOTE_TIMEOUT / 60000)} minutes`).catch(err => {
+        console.error("Error disputing timed out match:", err);
+      });
+    }
+  }, VOTE_TIMEOUT_CHECK_INTERVAL);
+}
+
+function buildIdlePromptRow(guildId, channelName) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`queue_stay:${guildId}:${channelName}`).setLabel("I'm still here").setStyle(ButtonStyle.Success)
+  );
+}
+
+// Ask players who waited longer than their queue's max wait time whether they are
+// still there, and remove those who do not answer in time
+function startQueueIdleWatcher(client) {
+  setInterval(async () => {
+    const now = Date.now();
+    for (const guild of client.guilds.cache.values()) {
+      for (const config of getQueueConfigs()) {
+        if (!config.maxWaitMinutes) continue;
+        const maxWait = config.maxWaitMinutes * 60 * 1000;
+        const q = getQueue(guild.id, config.channelName);
+        const idle = [];
+
+        for (const userId of q) {
+          const times = queueTimes.get(userId);
+          if (!times) continue;
+          if (times.promptedAt) {
+            if (now - times.promptedAt > QUEUE_IDLE_RESPONSE_TIME) idle.push(userId);
+            continue;
+          }
+          if (now - times.activeAt < maxWait) continue;
+
+          times.promptedAt = now;
+          const content = `Still there? You have been waiting in **${config.displayName}** for ${Math.round((now - times.joinedAt) / 60000)} minutes. ` +
+            `Confirm within ${Math.round(QUEUE_IDLE_RESPONSE_TIME / 60000)} minutes or you will be removed from the queue.`;
+          const components = [buildIdlePromptRow(guild.id, config.channelName)];
+          times.prompt = await client.users.send(userId, { content, components }).catch(() => null);
+          if (!times.prompt) {
+            // DMs closed: ask in the queue channel instead
+            const channel = guild.channels.cache.find(c => c.type === ChannelType.GuildText && c.name === config.channelName);
+            times.prompt = await channel?.send({ content: `<@${userId}> ${content}`, components }).catch(() => null) ?? null;
+          }
+        }
+
+        if (idle.length === 0) continue;
+        // Their party mates leave with them
+        const partyMates = getPartyMates(guild.id, idle).filter(id => q.has(id));
+        const unlockQueue = await acquireQueueLock(guild.id, config.channelName);
+        try {
+          await removeFromQueue(guild.id, config.channelName, [...idle, ...partyMates].filter(id => q.has(id)));
+        } finally {
+          unlockQueue();
+        }
+        console.log(`[Queue] Removed ${idle.length} idle player(s) and ${partyMates.length} party mate(s) from ${config.channelName}`);
+        for (const userId of idle) {
+          await client.users.send(userId, `You were removed from **${config.displayName}** for inactivity.`).catch(() => {});
+        }
+        for (const userId of partyMates) {
+          const idleMates = idle.filter(id => getParty(guild.id, id)?.memberIds.includes(userId));
+          await client.users.send(userId, `Your party left **${config.displayName}**: ${idleMates.map(id => `<@${id}>`).join(" ")} did not confirm they were still there.`).catch(() => {});
+        }
+        await updateQueueMessage(client, guild, config.channelName);
+        scheduleCurrentQueueUpdate(client, guild, getQueue);
+      }
+    }
+  }, QUEUE_IDLE_CHECK_INTERVAL);
+}
+
+async function confirmQueuePresence(interaction) {
+  const [, guildId, channelName] = interaction.customId.split(":");
+  const times = queueTimes.get(interaction.user.id);
+  if (!times || !getQueue(guildId, channelName).has(interaction.user.id)) {
+    await interaction.update({ content: "You are no longer in this queue.", components: [] }).catch(() => {});
+    return;
+  }
+  times.activeAt = Date.now();
+  times.promptedAt = null;
+  times.prompt = null;
+  await interaction.update({ content: `You are still in **${getQueueDisplayName(channelName)}**.`, components: [] }).catch(() => {});
+}
+
+/**
+ * Drop a finished (or voided) match from memory, refresh the leaderboard and delete its channels
+ * @param {Client} client - Discord client
+ * @param {TextChannel} channel - Game channel
+ * @param {Object} state - Match state
+ */
+export async function closeMatch(client, channel, state) {
+  matches.delete(channel.id);
+  voteUpdateQueues.delete(state.matchId); // Clean up throttle queue
+  await ensureStatsAndLeaderboardMessages(client, channel.guild);
+  setTimeout(() => {
+    try { channel.delete().catch(() => {}); } catch {}
+    deleteMatchVoiceChannels(channel.guild, state).catch(() => {});
+  }, 5000);
+}
+
+/**
+ * Cancel a match without a result (dodge, reset or void): no points are awarded, its
+ * channels are deleted and a tournament match is played again
+ * @returns {Promise<number|null>} Bracket match number of the tournament match played again
+ */
+export async function cancelMatch(client, channel, state) {
+  if (state.matchId) {
+    await Match.update({ status: "cancelled" }, { where: { id: state.matchId } }).catch(() => {});
+  }
+  await closeMatch(client, channel, state);
+  return onTournamentMatchCancelled(client, channel.guild, state.matchId).catch(err => {
+    console.error("Error restarting tournament match:", err);
+    return null;
+  });
+}
+
 // Interaction deduplication to prevent double processing
 const processedInteractions = new Set();
 setInterval(() => {
@@ -651,7 +1588,43 @@ setInterval(() => {
 
 export function setupQueue(client) {
   // Setup admin commands
-  setupAdminCommands(client, dodgeBans, matches, voteUpdateQueues);
+  setupAdminCommands(client, matches);
+  setupQueueConfigCommands(client);
+  setupMapCommands(client);
+  startVoteTimeoutWatcher(client);
+  startQueueIdleWatcher(client);
+
+  // Scoreboard screenshots uploaded in a game channel during the vote (or a dispute)
+  client.on(Events.MessageCreate, async (message) => {
+    try {
+      if (message.author.bot) return;
+      const state = matches.get(message.channelId);
+      if (!state || (state.phase !== "VOTE" && state.phase !== "DISPUTED")) return;
+      if (!state.players.has(message.author.id)) return;
+      const image = message.attachments.find(a => a.contentType?.startsWith("image/"));
+      if (!image) return;
+
+      state.evidence = { url: image.url, uploaderId: message.author.id };
+      await persistMatchState(state);
+      await message.react("✅").catch(() => {});
+
+      if (state.phase === "DISPUTED") {
+        const ticketChannel = state.disputeChannelId ? await client.channels.fetch(state.disputeChannelId).catch(() => null) : null;
+        if (ticketChannel) await ticketChannel.send({ content: `New evidence from <@${message.author.id}>:`, files: [image.url] }).catch(() => {});
+        return;
+      }
+
+      // Votes may already be waiting for this screenshot
+      const finalized = await tryFinalize(message.channel, state);
+      if (finalized) {
+        await closeMatch(client, message.channel, state);
+      } else {
+        await queueVoteUpdate(message.channel, state);
+      }
+    } catch (err) {
+      console.error("Evidence upload error", err);
+    }
+  });
   
   client.on(Events.InteractionCreate, async (interaction) => {
     try {
@@ -692,16 +1665,13 @@ export function setupQueue(client) {
         const channel = interaction.channel;
         
         // Determine which queue based on channel name
-        let channelName = QUEUE_CHANNEL_NAME;
-        if (channel.name === QUEUE_ADVANCED_CHANNEL_NAME) {
-          channelName = QUEUE_ADVANCED_CHANNEL_NAME;
-        } else if (channel.name === QUEUE_CHALLENGER_CHANNEL_NAME) {
-          channelName = QUEUE_CHALLENGER_CHANNEL_NAME;
-        } else if (channel.name === QUEUE_ELITE_CHANNEL_NAME) {
-          channelName = QUEUE_ELITE_CHANNEL_NAME;
-        } else if (channel.name === QUEUE_PRO_CHANNEL_NAME) {
-          channelName = QUEUE_PRO_CHANNEL_NAME;
+        const queueConfig = getQueueConfig(channel.name);
+        if (!queueConfig) {
+          await safeEphemeral("This channel is not a queue.");
+          return;
         }
+        const channelName = queueConfig.channelName;
+        const queueSize = getQueueSize(queueConfig);
         
         // Anti-spam cooldown check (BEFORE setting cooldown to prevent race)
         const lastClick = buttonCooldowns.get(memberId);
@@ -723,48 +1693,35 @@ export function setupQueue(client) {
         if (interaction.customId === "queue_join") {
           const q = getQueue(guildId, channelName);
           
+          // A party joins as a whole, queued by its leader
+          const party = getParty(guildId, memberId);
+          if (party && party.leaderId !== memberId) {
+            await safeEphemeral(`Only your party leader (<@${party.leaderId}>) can queue the party.`);
+            return;
+          }
+          if (party && party.memberIds.length > queueSize / 2 - 1) {
+            await safeEphemeral(`Your party has ${party.memberIds.length} players: parties of up to ${queueSize / 2 - 1} can join ${queueConfig.displayName}.`);
+            return;
+          }
+          const joiningIds = party ? party.memberIds : [memberId];
+
           // Acquire lock to prevent race condition on queue check/add
           const unlockQueue = await acquireQueueLock(guildId, channelName);
           try {
-            // SIMPLE: Check if already in queue - if yes, reject. If no, allow if passes checks.
-            if (q.has(memberId)) {
-              console.log(`[Queue] Player ${memberId} already in ${channelName}. Queue: ${[...q].join(', ')}`);
-              await safeEphemeral("You already in queue.");
-              return;
-            }
-            
-            // Not in queue yet - check if allowed to join
-            const otherQueue = isUserInOtherQueue(memberId, channelName, guildId);
-            if (otherQueue) {
-              console.log(`[Queue] Player ${memberId} already in ${otherQueue}`);
-              await safeEphemeral(`You are already in the ${otherQueue} queue. Please leave it first.`);
-              return;
-            }
-            
-            const requiredRoles = QUEUE_ROLES[channelName];
-            if (requiredRoles && requiredRoles.length > 0) {
-              const hasRole = interaction.member.roles.cache.some(r => requiredRoles.includes(r.name.toLowerCase()));
-              if (!hasRole) {
-                await safeEphemeral(`You need one of these roles to join: ${requiredRoles.join(', ')}.`);
+            for (const userId of joiningIds) {
+              const blocker = await getQueueJoinBlocker(interaction, queueConfig, userId);
+              if (blocker) {
+                await safeEphemeral(userId === memberId ? blocker : `Your party cannot join: ${blocker}`);
                 return;
               }
             }
-            
-            if (isUserDodgeBanned(memberId)) {
-              const timeLeft = getDodgeBanTimeLeft(memberId);
-              await safeEphemeral(`You are banned from queue for ${timeLeft} more minutes (dodged a match).`);
-              return;
-            }
-            
-            if (isUserInActiveMatch(memberId)) {
-              await safeEphemeral("You already in game.");
-              return;
-            }
-            
+
             // All checks passed - add to queue
-            q.add(memberId);
-            console.log(`[Queue] ✓ Player ${memberId} JOINED ${channelName}. Queue size: ${q.size}/${QUEUE_SIZE}. Members: ${[...q].join(', ')}`);
-            await safeEphemeral("You joined the queue.");
+            for (const userId of joiningIds) {
+              await addToQueue(guildId, channelName, userId);
+            }
+            console.log(`[Queue] ✓ Player(s) ${joiningIds.join(', ')} JOINED ${channelName}. Queue size: ${q.size}/${queueSize}. Members: ${[...q].join(', ')}`);
+            await safeEphemeral(party ? "Your party joined the queue." : "You joined the queue.");
           } finally {
             unlockQueue();
           }
@@ -777,9 +1734,12 @@ export function setupQueue(client) {
               await safeEphemeral("You are not in the queue.");
               return;
             }
-            q.delete(memberId);
-            console.log(`[Queue] ✓ Player ${memberId} LEFT ${channelName}. Queue size: ${q.size}/${QUEUE_SIZE}. Members: ${[...q].join(', ')}`);
-            await safeEphemeral("You left the queue.");
+            // A party leaves together
+            const party = getParty(guildId, memberId);
+            const leavingIds = party ? party.memberIds.filter(id => q.has(id)) : [memberId];
+            await removeFromQueue(guildId, channelName, leavingIds);
+            console.log(`[Queue] ✓ Player(s) ${leavingIds.join(', ')} LEFT ${channelName}. Queue size: ${q.size}/${queueSize}. Members: ${[...q].join(', ')}`);
+            await safeEphemeral(leavingIds.length > 1 ? "Your party left the queue." : "You left the queue.");
           } finally {
             unlockQueue();
           }
@@ -787,23 +1747,18 @@ export function setupQueue(client) {
 
         await updateQueueMessage(client, guild, channelName);
         scheduleCurrentQueueUpdate(client, guild, getQueue);
+        await startMatchIfQueueFull(client, guild, channelName);
+        return;
+      }
 
-        // Acquire lock to prevent race conditions when creating game
-        if (q.size >= QUEUE_SIZE && process.env.SIM_MODE !== '1') {
-          const unlock = await acquireGameCreationLock(guildId, channelName);
-          try {
-            // Re-check queue size after acquiring lock (another request might have taken players)
-            if (q.size >= QUEUE_SIZE) {
-              const players = [...q].slice(0, QUEUE_SIZE);
-              for (const id of players) q.delete(id);
-              await updateQueueMessage(client, guild, channelName);
-              scheduleCurrentQueueUpdate(client, guild, getQueue);
-              await createGameChannelForSix(client, guild, players, channelName);
-            }
-          } finally {
-            unlock();
-          }
-        }
+      // Sent in DMs: no guild on this interaction
+      if (interaction.customId.startsWith("queue_stay:")) {
+        await confirmQueuePresence(interaction);
+        return;
+      }
+
+      if (interaction.customId.startsWith("ready:")) {
+        await acceptReadyCheck(client, interaction, interaction.customId.split(":")[1]);
         return;
       }
 
@@ -820,12 +1775,14 @@ export function setupQueue(client) {
         await interaction.deferReply({ flags: MessageFlags.Ephemeral }).catch(() => {});
 
         const pickerId = interaction.user.id;
-        if (state.phase === "A1" && pickerId !== state.captainA) {
-          await safeEphemeral("Not your turn (Captain A picks first).");
+        const pickingSide = state.phase === "PICK" ? getPickingSide(state) : null;
+        if (!pickingSide) {
+          await safeEphemeral("Draft is over.");
           return;
         }
-        if ((state.phase === "B1" || state.phase === "B2") && pickerId !== state.captainB) {
-          await safeEphemeral("Not your turn (Captain B picking).");
+        const pickingCaptain = pickingSide === "A" ? state.captainA : state.captainB;
+        if (pickerId !== pickingCaptain) {
+          await safeEphemeral(`Not your turn (Captain ${pickingSide} picking).`);
           return;
         }
         if (!state.remaining.has(pickedId)) {
@@ -833,25 +1790,24 @@ export function setupQueue(client) {
           return;
         }
 
-        state.remaining.delete(pickedId);
-        if (state.phase === "A1") {
-          state.teamA.add(pickedId);
-          await updateDbOnPick(state, pickedId);
-          state.phase = "B1";
-        } else if (state.phase === "B1") {
-          state.teamB.add(pickedId);
-          await updateDbOnPick(state, pickedId);
-          state.phase = "B2";
-        } else if (state.phase === "B2") {
-          state.teamB.add(pickedId);
-          await updateDbOnPick(state, pickedId);
-          const last = [...state.remaining][0];
-          if (last) {
-            state.teamA.add(last);
-            await MatchPlayer.update({ teamId: state.teamAId, pickOrder: state.teamA.size }, { where: { matchId: state.matchId, discordId: last } });
-          }
-          state.remaining.clear();
-          state.phase = "BAN_A";
+        // A pick brings the player's party mates along, parties are only split when none fits
+        const team = pickingSide === "A" ? state.teamA : state.teamB;
+        const room = state.players.size / 2 - team.size;
+        const groups = getDraftGroups(state);
+        const group = groups.find(g => g.includes(pickedId));
+        if (group.length > room && groups.some(g => g.length <= room)) {
+          await safeEphemeral(`<@${pickedId}>'s party does not fit in your team (${room} slot${room === 1 ? "" : "s"} left).`);
+          return;
+        }
+
+        for (const uid of [pickedId, ...group.filter(id => id !== pickedId)].slice(0, room)) {
+          state.remaining.delete(uid);
+          team.add(uid);
+          await updateDbOnPick(state, uid, pickingSide);
+        }
+        await settleDraft(state, (uid, side) => updateDbOnPick(state, uid, side));
+        if (state.remaining.size === 0) {
+          state.phase = "VETO";
         }
 
         try {
@@ -859,80 +1815,46 @@ export function setupQueue(client) {
           const msg = await channel.messages.fetch(state.messageId).catch(() => null);
           const payload = await buildDraftPayload(channel, state);
           if (msg) await msg.edit(payload); else await channel.send(payload);
-          if (state.phase === "BAN_A") {
-            await postBanMessage(channel, state);
+          if (state.phase === "VETO") {
+            await createTeamVoiceChannels(client, channel, state).catch(err => console.error("Error creating team voice channels:", err));
+            await advanceMapVeto(channel, state);
           }
         } catch (e) { console.error("update draft message error", e); }
+        await persistMatchState(state);
 
         await safeEphemeral("Pick enregistré.");
         return;
       }
 
-      if (interaction.customId.startsWith("ban:")) {
+      // "ban:" buttons were posted before veto formats were configurable
+      if (interaction.customId.startsWith("veto:") || interaction.customId.startsWith("ban:")) {
         const [, channelId, mapName] = interaction.customId.split(":");
         if (interaction.channelId !== channelId) return;
         const state = matches.get(channelId);
-        if (!state || state.phase !== "BAN_A" && state.phase !== "BAN_B") {
-          await safeEphemeral("Bans not active now.");
+        if (!state || state.phase !== "VETO") {
+          await safeEphemeral("Map veto not active now.");
           return;
         }
         
         // Defer after validation to prevent timeout on map selection
         await interaction.deferReply({ flags: MessageFlags.Ephemeral }).catch(() => {});
         
-        const bannerId = interaction.user.id;
-        if (state.phase === "BAN_A" && bannerId !== state.captainA) {
-          await safeEphemeral("Not your turn (Captain A bans first).");
-          return;
-        }
-        if (state.phase === "BAN_B" && bannerId !== state.captainB) {
-          await safeEphemeral("Not your turn (Captain B bans now).");
+        const step = getCurrentVetoStep(state);
+        const captainId = step.side === "A" ? state.captainA : state.captainB;
+        if (interaction.user.id !== captainId) {
+          await safeEphemeral(`Not your turn (Captain ${step.side} ${step.action === "ban" ? "bans" : "picks"} now).`);
           return;
         }
         if (!state.availableMaps.includes(mapName)) {
-          await safeEphemeral("Map already banned or invalid.");
+          await safeEphemeral("Map already vetoed or invalid.");
           return;
         }
-        state.availableMaps = state.availableMaps.filter(m => m !== mapName);
-        state.bannedMaps.push(mapName);
-        if (state.phase === "BAN_A") {
-          state.phase = "BAN_B";
-        } else {
-          state.selectedMap = state.availableMaps[Math.floor(Math.random() * state.availableMaps.length)];
-          state.phase = "VOTE";
-          state.voteStartTime = Date.now(); // Track when voting started for dodge timer
-        }
+        applyVetoAction(state, mapName);
         try {
-          const channel = interaction.channel;
-          const msg = await channel.messages.fetch(state.banMessageId).catch(() => null);
-          if (state.phase === "VOTE") {
-            if (msg) await msg.delete().catch(() => {});
-            await postSelectedMapMessage(channel, state);
-            await postVoteMessage(channel, state);
-          } else {
-            const embed = new EmbedBuilder()
-              .setTitle("Map Bans — General Queue V3")
-              .setDescription("Each captain bans 1 map.")
-              .addFields(
-                { name: "Available Maps", value: state.availableMaps.join(", ") },
-                { name: "Banned Maps", value: state.bannedMaps.join(", ") },
-                { name: "Instruction", value: `Captain B (<@${state.captainB}>) bans now` }
-              );
-            const rows = [];
-            let currentRow = new ActionRowBuilder();
-            for (const map of state.availableMaps) {
-              const btn = new ButtonBuilder().setCustomId(`ban:${channel.id}:${map}`).setLabel(map).setStyle(ButtonStyle.Secondary);
-              currentRow.addComponents(btn);
-              if (currentRow.components.length === 5) {
-                rows.push(currentRow);
-                currentRow = new ActionRowBuilder();
-              }
-            }
-            if (currentRow.components.length > 0) rows.push(currentRow);
-            if (msg) await msg.edit({ embeds: [embed], components: rows });
-          }
-        } catch (e) { console.error("update ban message error", e); }
-        await safeEphemeral("Ban enregistré.");
+          await advanceMapVeto(interaction.channel, state);
+        } catch (e) { console.error("update veto message error", e); }
+        await persistMatchState(state);
+        await safeEphemeral(step.action === "ban" ? "Ban enregistré." : "Pick enregistré.");
         return;
       }
 
@@ -944,6 +1866,10 @@ export function setupQueue(client) {
           await safeEphemeral("Voting not available.");
           return;
         }
+        if (state.phase === "DISPUTED") {
+          await safeEphemeral("This result is disputed. An admin will settle it.");
+          return;
+        }
         
         // Defer after validation to prevent timeout on finalization
         await interaction.deferReply({ flags: MessageFlags.Ephemeral }).catch(() => {});
@@ -954,22 +1880,18 @@ export function setupQueue(client) {
           return;
         }
         const voteForTeamId = teamKey === "A" ? state.teamAId : state.teamBId;
-        const existing = await Vote.findOne({ where: { matchId: state.matchId, voterDiscordId: voterId } });
+        const gameNumber = getCurrentGameNumber(state);
+        const existing = await Vote.findOne({ where: { matchId: state.matchId, gameNumber, voterDiscordId: voterId } });
         if (existing) {
           await existing.update({ voteForTeamId }).catch(() => {});
           await safeEphemeral("Vote updated.");
         } else {
-          await Vote.create({ matchId: state.matchId, voterDiscordId: voterId, voteForTeamId });
+          await Vote.create({ matchId: state.matchId, gameNumber, voterDiscordId: voterId, voteForTeamId });
           await safeEphemeral("Vote counted.");
         }
         const finalized = await tryFinalize(interaction.channel, state);
         if (finalized) {
-          matches.delete(interaction.channelId);
-          voteUpdateQueues.delete(state.matchId); // Clean up throttle queue
-          await ensureStatsAndLeaderboardMessages(interaction.client, interaction.guild);
-          setTimeout(() => {
-            try { interaction.channel.delete().catch(() => {}); } catch {}
-          }, 5000);
+          await closeMatch(interaction.client, interaction.channel, state);
         } else {
           await queueVoteUpdate(interaction.channel, state); // Throttle vote updates
         }
@@ -987,4 +1909,4 @@ export function setupQueue(client) {
   });
 }
 
-export { getRankByPoints, syncPlayerRank, getQueue };
+export { getRankByPoints, syncPlayerRank, getQueue, RANK_SYSTEM };
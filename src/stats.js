@@ -1,8 +1,28 @@
-import { SlashCommandBuilder, EmbedBuilder, Events, ChannelType } from 'discord.js';
-import { User } from './models/index.js';
+import { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, Events, ChannelType, MessageFlags } from 'discord.js';
+import { User, Match, MatchPlayer, Team, RatingChange, Season } from './models/index.js';
+import { buildLeaderboardPage, parseLeaderboardButton, getRankNames, LEADERBOARD_BUTTON_PREFIX } from './features/leaderboard.js';
+import { getQueueConfig } from './features/queue-config.js';
+import { getPlayerProfile, getHeadToHead } from './utils/player-stats.js';
+import { getRankByPoints } from './queue.js';
+import { renderRatingChart } from './utils/rating-chart.js';
+
+const HISTORY_DEFAULT_LIMIT = 10;
+const HISTORY_MAX_LIMIT = 25;
+const HISTORY_REASON_LABELS = {
+  'win': '✅ Win',
+  'loss': '❌ Loss',
+  'dodge': '🏃 Dodge',
+  'dodge-compensation': '🩹 Dodge compensation',
+  'admin-edit': '🛠️ Admin edit',
+  'season-reset': '🔄 Season reset'
+};
 
 export async function setupStats(client) {
   client.on(Events.InteractionCreate, async (interaction) => {
+    if (interaction.isButton() && interaction.customId.startsWith(`${LEADERBOARD_BUTTON_PREFIX}:`)) {
+      await handleLeaderboardButton(interaction);
+      return;
+    }
     if (!interaction.isChatInputCommand()) return;
 
     console.log(`Command received: ${interaction.commandName}`); // Debug log
@@ -11,29 +31,33 @@ export async function setupStats(client) {
       try {
         await interaction.deferReply();
 
-        const users = await User.findAll({
-          order: [['points', 'DESC']],
-          limit: 10
-        });
-
-        if (!users || users.length === 0) {
-          await interaction.editReply({ content: 'No players registered yet.' });
-          return;
+        const seasonNumber = interaction.options.getInteger('season');
+        const queueChannel = interaction.options.getChannel('queue');
+        let season = null;
+        if (seasonNumber !== null) {
+          season = await Season.findOne({ where: { number: seasonNumber } });
+          if (!season || !season.endedAt) {
+            await interaction.editReply({ content: `Season ${seasonNumber} has no final standings${season ? ' yet' : ''}.` });
+            return;
+          }
+          if (queueChannel) {
+            await interaction.editReply({ content: 'The queue filter is not available for past seasons.' });
+            return;
+          }
         }
-
-        let leaderboardText = '**🏆 Top 10 Players**\n\n';
-        for (let i = 0; i < users.length; i++) {
-          const user = users[i];
-          const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '  ';
-          leaderboardText += `${medal} **${i + 1}.** <@${user.discordId}> — ${user.points} pts (${user.wins}W/${user.losses}L)\n`;
+        if (queueChannel && !getQueueConfig(queueChannel.name)) {
+          await interaction.editReply({ content: `${queueChannel} is not a queue.` });
+          return;
         }
 
-        const embed = new EmbedBuilder()
-          .setTitle('Ranked Leaderboard')
-          .setDescription(leaderboardText)
-          .setFooter({ text: 'Updated ' + new Date().toLocaleString() });
-
-        await interaction.editReply({ embeds: [embed] });
+        const page = await buildLeaderboardPage({
+          page: (interaction.options.getInteger('page') || 1) - 1,
+          rank: interaction.options.getString('rank'),
+          queue: queueChannel?.name || null,
+          season,
+          aroundUserId: interaction.options.getBoolean('around-me') ? interaction.user.id : null
+        });
+        await interaction.editReply(page);
       } catch (err) {
         console.error('Leaderboard command error', err);
         await interaction.editReply({ content: 'Error fetching leaderboard.' }).catch(() => {});
@@ -56,50 +80,208 @@ export async function setupStats(client) {
           return;
         }
 
-        const totalGames = user.wins + user.losses;
-        const winRate = totalGames > 0 ? Math.round((user.wins / totalGames) * 100) : 0;
+        const profile = await getPlayerProfile(user);
+        const embed = buildStatsEmbed(user, targetUser, profile);
 
-        const embed = new EmbedBuilder()
-          .setTitle(`📊 Stats for ${user.username || targetUser.username}`)
-          .addFields(
-            { name: 'Points', value: `${user.points}`, inline: true },
-            { name: 'Wins', value: `${user.wins}`, inline: true },
-            { name: 'Losses', value: `${user.losses}`, inline: true },
-            { name: 'Win Rate', value: `${winRate}%`, inline: true },
-            { name: 'Total Games', value: `${totalGames}`, inline: true }
-          )
-          .setFooter({ text: 'Last updated ' + new Date().toLocaleString() });
+        const files = [];
+        if (profile.timeline.length >= 2) {
+          try {
+            const chart = await renderRatingChart(profile.timeline, `${user.username} — points over time`);
+            files.push(new AttachmentBuilder(chart, { name: 'rating.png' }));
+            embed.setImage('attachment://rating.png');
+          } catch (chartErr) {
+            console.error('Rating chart error', chartErr);
+          }
+        }
 
-        await interaction.editReply({ embeds: [embed] });
+        await interaction.editReply({ embeds: [embed], files });
       } catch (err) {
         console.error('Stats command error', err);
         await interaction.editReply({ content: 'Error fetching stats.' }).catch(() => {});
       }
+    } else if (interaction.commandName === 'compare') {
+      try {
+        await interaction.deferReply();
+
+        const targetA = interaction.options.getUser('a');
+        const targetB = interaction.options.getUser('b');
+        if (targetA.id === targetB.id) {
+          await interaction.editReply({ content: 'Pick two different players.' });
+          return;
+        }
+
+        const [userA, userB] = await Promise.all([
+          User.findOne({ where: { discordId: targetA.id } }),
+          User.findOne({ where: { discordId: targetB.id } })
+        ]);
+        const missing = [userA ? null : targetA, userB ? null : targetB].filter(Boolean);
+        if (missing.length) {
+          await interaction.editReply({ content: `${missing.map(u => `<@${u.id}>`).join(' and ')} not registered yet.` });
+          return;
+        }
+
+        const embed = buildCompareEmbed(userA, userB, await getHeadToHead(userA.discordId, userB.discordId));
+        await interaction.editReply({ embeds: [embed] });
+      } catch (err) {
+        console.error('Compare command error', err);
+        await interaction.editReply({ content: 'Error comparing players.' }).catch(() => {});
+      }
+    } else if (interaction.commandName === 'history') {
+      try {
+        await interaction.deferReply();
+
+        const targetUser = interaction.options.getUser('user');
+        const limit = interaction.options.getInteger('limit') || HISTORY_DEFAULT_LIMIT;
+        const user = await User.findOne({ where: { discordId: targetUser.id } });
+
+        if (!user) {
+          await interaction.editReply({ content: `<@${targetUser.id}> not registered yet.` });
+          return;
+        }
+
+        const embed = await buildHistoryEmbed(user, limit);
+        await interaction.editReply({ embeds: [embed] });
+      } catch (err) {
+        console.error('History command error', err);
+        await interaction.editReply({ content: 'Error fetching history.' }).catch(() => {});
+      }
     }
   });
 }
 
-async function buildLeaderboardEmbed() {
-  const users = await User.findAll({
-    order: [['points', 'DESC']],
-    limit: 10
-  });
+function formatRecord({ wins, losses }) {
+  const games = wins + losses;
+  return `${wins}W/${losses}L (${games > 0 ? Math.round((wins / games) * 100) : 0}%)`;
+}
+
+// Extended fields only show up once there is history to compute them from
+function buildStatsEmbed(user, targetUser, profile) {
+  const totalGames = user.wins + user.losses;
+  const winRate = totalGames > 0 ? Math.round((user.wins / totalGames) * 100) : 0;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📊 Stats for ${user.username || targetUser.username}`)
+    .addFields(
+      { name: 'Points', value: `${user.points}`, inline: true },
+      { name: 'Wins', value: `${user.wins}`, inline: true },
+      { name: 'Losses', value: `${user.losses}`, inline: true },
+      { name: 'Win Rate', value: `${winRate}%`, inline: true },
+      { name: 'Total Games', value: `${totalGames}`, inline: true }
+    )
+    .setFooter({ text: 'Last updated ' + new Date().toLocaleString() });
 
-  if (!users || users.length === 0) {
-    return new EmbedBuilder().setTitle('Ranked Leaderboard').setDescription('No players registered yet.');
+  if (profile.peakPoints > user.points) {
+    embed.addFields({ name: 'Peak Points', value: `${profile.peakPoints}`, inline: true });
+  }
+  if (profile.streaks.current) {
+    const { won, count } = profile.streaks.current;
+    embed.addFields(
+      { name: 'Current Streak', value: `${won ? '🔥' : '🧊'} ${count} ${won ? 'win' : 'loss'}${count > 1 ? (won ? 's' : 'es') : ''}`, inline: true },
+      { name: 'Best Win Streak', value: `${profile.streaks.best}`, inline: true }
+    );
   }
+  if (profile.captain.wins + profile.captain.losses > 0) {
+    embed.addFields({ name: 'As Captain', value: formatRecord(profile.captain), inline: true });
+  }
+  if (profile.maps.length) {
+    embed.addFields({ name: 'Maps', value: profile.maps.map(m => `**${m.key}** — ${formatRecord(m)}`).join('\n') });
+  }
+  if (profile.teammates.length) {
+    embed.addFields({ name: 'Most Played With', value: profile.teammates.map(p => `<@${p.key}> — ${formatRecord(p)}`).join('\n'), inline: true });
+  }
+  if (profile.opponents.length) {
+    embed.addFields({ name: 'Most Played Against', value: profile.opponents.map(p => `<@${p.key}> — ${formatRecord(p)}`).join('\n'), inline: true });
+  }
+  return embed;
+}
+
+function buildCompareEmbed(userA, userB, headToHead) {
+  const { together, against, maps } = headToHead;
+  const gamesTogether = together.wins + together.losses;
+  const gamesAgainst = against.winsA + against.winsB;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`⚔️ ${userA.username} vs ${userB.username}`)
+    .addFields(
+      { name: userA.username, value: `${userA.points} pts — ${getRankByPoints(userA.points)}`, inline: true },
+      { name: userB.username, value: `${userB.points} pts — ${getRankByPoints(userB.points)}`, inline: true },
+      { name: '\u200b', value: '\u200b', inline: true },
+      { name: `Together (${gamesTogether})`, value: gamesTogether ? formatRecord(together) : 'Never on the same team', inline: true },
+      { name: `Against (${gamesAgainst})`, value: gamesAgainst ? `${userA.username} ${against.winsA} — ${against.winsB} ${userB.username}` : 'Never faced each other', inline: true }
+    )
+    .setFooter({ text: 'Finalized matches only' });
+
+  if (maps.length) {
+    embed.addFields({ name: 'Shared Maps', value: maps.map(m => `**${m.key}** — ${m.games} game${m.games > 1 ? 's' : ''}`).join('\n') });
+  }
+  return embed;
+}
+
+async function buildHistoryEmbed(user, limit) {
+  const changes = await RatingChange.findAll({
+    where: { userId: user.id },
+    include: [Match],
+    order: [['createdAt', 'DESC']],
+    limit
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📜 Match history for ${user.username}`)
+    .setFooter({ text: `Current points: ${user.points}` });
 
-  let leaderboardText = '**🏆 Top 10 Players**\n\n';
-  for (let i = 0; i < users.length; i++) {
-    const user = users[i];
-    const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '  ';
-    leaderboardText += `${medal} **${i + 1}.** <@${user.discordId}> — ${user.points} pts (${user.wins}W/${user.losses}L)\n`;
+  if (changes.length === 0) {
+    return embed.setDescription('No rated matches yet.');
   }
 
-  return new EmbedBuilder()
-    .setTitle('Ranked Leaderboard')
-    .setDescription(leaderboardText)
-    .setFooter({ text: 'Updated ' + new Date().toLocaleString() });
+  // Resolve which team the player was on for each match
+  const matchIds = changes.map(c => c.matchId).filter(Boolean);
+  const matchPlayers = matchIds.length
+    ? await MatchPlayer.findAll({ where: { matchId: matchIds, discordId: user.discordId }, include: [Team] })
+    : [];
+  const teamByMatch = new Map(matchPlayers.map(mp => [mp.matchId, mp.Team?.name]));
+
+  const lines = changes.map(change => {
+    const date = `<t:${Math.floor(change.createdAt.getTime() / 1000)}:d>`;
+    const label = HISTORY_REASON_LABELS[change.reason] || change.reason;
+    const delta = change.delta >= 0 ? `+${change.delta}` : `${change.delta}`;
+    const parts = [date];
+    if (change.matchId) {
+      parts.push(`**#${change.matchId}**`, change.Match?.mapName || 'Unknown map', teamByMatch.get(change.matchId) || 'No team');
+    }
+    parts.push(label, `**${delta}** (${change.before} → ${change.after})`);
+    return parts.join(' — ');
+  });
+
+  return embed.setDescription(lines.join('\n'));
+}
+
+// Leaderboard page buttons: the invoker pages their own reply, anyone else
+// (including clicks on the shared #leaderboard message) gets a private copy
+async function handleLeaderboardButton(interaction) {
+  try {
+    const parsed = parseLeaderboardButton(interaction.customId);
+    if (!parsed) return;
+
+    const season = parsed.seasonNumber ? await Season.findOne({ where: { number: parsed.seasonNumber } }) : null;
+    const page = await buildLeaderboardPage({
+      page: parsed.page,
+      rank: parsed.rank,
+      queue: parsed.queue,
+      season: season?.endedAt ? season : null,
+      aroundUserId: parsed.aroundMe ? interaction.user.id : null
+    });
+
+    if (interaction.message.interactionMetadata?.user?.id === interaction.user.id) {
+      await interaction.update({ ...page, content: page.content ?? '' });
+    } else {
+      await interaction.reply({ ...page, flags: MessageFlags.Ephemeral });
+    }
+  } catch (err) {
+    console.error('Leaderboard button error', err);
+    if (!interaction.replied) {
+      await interaction.reply({ content: 'Error fetching leaderboard.', flags: MessageFlags.Ephemeral }).catch(() => {});
+    }
+  }
 }
 
 export async function ensureStatsAndLeaderboardMessages(client, guild) {
@@ -110,14 +292,14 @@ export async function ensureStatsAndLeaderboardMessages(client, guild) {
     const messages = await leaderboardChannel.messages.fetch({ limit: 50 }).catch(() => null);
     const existing = messages?.find(m => m.author?.id === client.user.id && m.embeds?.length);
 
-    const leaderboardEmbed = await buildLeaderboardEmbed();
+    const leaderboardPage = await buildLeaderboardPage();
 
     if (existing) {
       try {
-        await existing.edit({ embeds: [leaderboardEmbed] });
+        await existing.edit(leaderboardPage);
       } catch {}
     } else {
-      await leaderboardChannel.send({ embeds: [leaderboardEmbed] });
+      await leaderboardChannel.send(leaderboardPage);
     }
   } catch (err) {
     console.error('Error updating leaderboard message:', err);
@@ -127,7 +309,64 @@ export async function ensureStatsAndLeaderboardMessages(client, guild) {
 export function getLeaderboardCommand() {
   return new SlashCommandBuilder()
     .setName('leaderboard')
-    .setDescription('Show top 10 players by points');
+    .setDescription('Show the players ranked by points')
+    .addIntegerOption(option =>
+      option.setName('page')
+        .setDescription('Page to show (10 players per page)')
+        .setMinValue(1)
+    )
+    .addStringOption(option =>
+      option.setName('rank')
+        .setDescription('Only show players of this rank')
+        .addChoices(...getRankNames().map(rank => ({ name: rank, value: rank })))
+    )
+    .addChannelOption(option =>
+      option.setName('queue')
+        .setDescription('Only show players with games in this queue (W/L in that queue)')
+        .addChannelTypes(ChannelType.GuildText)
+    )
+    .addBooleanOption(option =>
+      option.setName('around-me')
+        .setDescription('Jump to the page with your position')
+    )
+    .addIntegerOption(option =>
+      option.setName('season')
+        .setDescription('Show the final standings of a past season')
+        .setMinValue(1)
+    );
+}
+
+export function getHistoryCommand() {
+  return new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('Show a player\'s recent matches and point changes')
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('Player to show history for')
+        .setRequired(true)
+    )
+    .addIntegerOption(option =>
+      option.setName('limit')
+        .setDescription(`Number of entries (default ${HISTORY_DEFAULT_LIMIT}, max ${HISTORY_MAX_LIMIT})`)
+        .setMinValue(1)
+        .setMaxValue(HISTORY_MAX_LIMIT)
+    );
+}
+
+export function getCompareCommand() {
+  return new SlashCommandBuilder()
+    .setName('compare')
+    .setDescription('Compare two players head to head')
+    .addUserOption(option =>
+      option.setName('a')
+        .setDescription('First player')
+        .setRequired(true)
+    )
+    .addUserOption(option =>
+      option.setName('b')
+        .setDescription('Second player')
+        .setRequired(true)
+    );
 }
 
 export function getStatsCommand() {
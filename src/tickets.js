@@ -36,6 +36,57 @@ export async function ensureTicketMessage(client, guild) {
   }
 }
 
+/**
+ * Open a ticket channel visible to its creator, the admins and any extra members
+ * @param {Guild} guild - Discord guild
+ * @param {Object} options
+ * @param {string} options.creatorId - Ticket owner (the bot itself for automatic tickets)
+ * @param {string[]} [options.memberIds] - Extra players who can see the ticket
+ * @param {EmbedBuilder} [options.embed] - First message of the ticket
+ * @returns {Promise<{ number: number, channel: TextChannel }>}
+ */
+export async function openTicket(guild, { creatorId, memberIds = [], embed = null }) {
+  const ticketNumber = nextTicketNumber++;
+  const channelName = `ticket-${ticketNumber}`;
+  const memberAccess = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory];
+
+  // Create ticket channel (only accessible to creator, extra members and admins)
+  const ticketChannel = await guild.channels.create({
+    name: channelName,
+    type: ChannelType.GuildText,
+    permissionOverwrites: [
+      {
+        id: guild.roles.everyone.id,
+        deny: [PermissionFlagsBits.ViewChannel]
+      },
+      {
+        id: creatorId,
+        allow: memberAccess
+      },
+      {
+        id: guild.roles.cache.find(r => r.name === 'admin')?.id || guild.ownerId,
+        allow: memberAccess
+      },
+      ...memberIds.filter(id => id !== creatorId).map(id => ({ id, allow: memberAccess }))
+    ]
+  });
+
+  tickets.set(ticketNumber, {
+    number: ticketNumber,
+    creatorId,
+    channelId: ticketChannel.id,
+    guildId: guild.id
+  });
+
+  const ticketEmbed = embed || new EmbedBuilder()
+    .setTitle(`Ticket #${ticketNumber}`)
+    .setDescription(`Created by <@${creatorId}>`)
+    .setFooter({ text: 'You can now describe your issue' });
+
+  await ticketChannel.send({ embeds: [ticketEmbed] });
+  return { number: ticketNumber, channel: ticketChannel };
+}
+
 export function setupTickets(client) {
   client.on(Events.InteractionCreate, async (interaction) => {
     try {
@@ -51,42 +102,7 @@ export function setupTickets(client) {
           return;
         }
 
-        const ticketNumber = nextTicketNumber++;
-        const channelName = `ticket-${ticketNumber}`;
-
-        // Create ticket channel (only accessible to creator and admins)
-        const ticketChannel = await guild.channels.create({
-          name: channelName,
-          type: ChannelType.GuildText,
-          permissionOverwrites: [
-            {
-              id: guild.roles.everyone.id,
-              deny: [PermissionFlagsBits.ViewChannel]
-            },
-            {
-              id: userId,
-              allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory]
-            },
-            {
-              id: guild.roles.cache.find(r => r.name === 'admin')?.id || guild.ownerId,
-              allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory]
-            }
-          ]
-        });
-
-        tickets.set(ticketNumber, {
-          number: ticketNumber,
-          creatorId: userId,
-          channelId: ticketChannel.id,
-          guildId: guild.id
-        });
-
-        const ticketEmbed = new EmbedBuilder()
-          .setTitle(`Ticket #${ticketNumber}`)
-          .setDescription(`Created by <@${userId}>`)
-          .setFooter({ text: 'You can now describe your issue' });
-
-        await ticketChannel.send({ embeds: [ticketEmbed] });
+        const { number: ticketNumber, channel: ticketChannel } = await openTicket(guild, { creatorId: userId });
         await interaction.reply({ content: `Ticket #${ticketNumber} created! <#${ticketChannel.id}>`, flags: 64 });
         return;
       }
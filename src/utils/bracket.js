@@ -0,0 +1,192 @@
+/**
+ * Elimination brackets
+ * Plain bracket matches, linked by number: the winner (and, in double elimination,
+ * the loser) of a match moves to a slot of a later match. Seeds missing from a bracket
+ * whose size is not a power of two are byes: their opponent advances without playing.
+ * A double elimination bracket ends with a grand final (final round 1) and a reset
+ * (final round 2), only played when the losers bracket side wins the grand final.
+ *
+ * Match: { number, bracket: 'winners'|'losers'|'final', round, position, entryA, entryB,
+ *          byeSlot: null|'A'|'B'|'both', winner, loser, status, winnerNext, loserNext }
+ * status: 'pending' (waiting for entries), 'ready', 'live', 'done' or 'void' (nobody to play)
+ * winnerNext / loserNext: { number, slot: 'A'|'B' } or null
+ */
+
+// Seed positions in the first round, so the top seeds meet as late as possible
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const next = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, next - seed]);
+  }
+  return order;
+}
+
+function slotOf(position) {
+  return position % 2 === 0 ? "A" : "B";
+}
+
+/**
+ * Build a bracket
+ * @param {Array<number>} entryIds - Entries, best seed first (at least 2)
+ * @param {'single'|'double'} format
+ * @returns {Array<Object>} Matches ordered by number, byes already played
+ */
+export function buildBracket(entryIds, format = "single") {
+  const size = 2 ** Math.ceil(Math.log2(Math.max(2, entryIds.length)));
+  const rounds = Math.log2(size);
+  const matches = [];
+  const feeders = new Map(); // number -> { A, B } as { number, kind: 'winner'|'loser' }
+  const grid = {}; // `${bracket}:${round}:${position}` -> match
+
+  const add = (bracket, round, position) => {
+    const match = {
+      number: matches.length + 1, bracket, round, position,
+      entryA: null, entryB: null, byeSlot: null, winner: null, loser: null,
+      status: "pending", winnerNext: null, loserNext: null
+    };
+    matches.push(match);
+    feeders.set(match.number, {});
+    grid[`${bracket}:${round}:${position}`] = match;
+    return match;
+  };
+  const link = (from, kind, to, slot) => {
+    from[kind === "winner" ? "winnerNext" : "loserNext"] = { number: to.number, slot };
+    feeders.get(to.number)[slot] = { number: from.number, kind };
+  };
+
+  // Winners bracket
+  const order = seedOrder(size);
+  for (let round = 1; round <= rounds; round++) {
+    for (let position = 0; position < size / 2 ** round; position++) {
+      const match = add("winners", round, position);
+      if (round === 1) {
+        match.entryA = entryIds[order[position * 2] - 1] ?? null;
+        match.entryB = entryIds[order[position * 2 + 1] - 1] ?? null;
+      } else {
+        link(grid[`winners:${round - 1}:${position * 2}`], "winner", match, "A");
+        link(grid[`winners:${round - 1}:${position * 2 + 1}`], "winner", match, "B");
+      }
+    }
+  }
+
+  if (format === "double") {
+    // Losers bracket: odd rounds pair the survivors, even rounds take the losers of the next winners round
+    for (let j = 1; j < rounds; j++) {
+      const count = size / 2 ** (j + 1);
+      for (let position = 0; position < count; position++) {
+        const match = add("losers", 2 * j - 1, position);
+        if (j === 1) {
+          link(grid[`winners:1:${position * 2}`], "loser", match, "A");
+          link(grid[`winners:1:${position * 2 + 1}`], "loser", match, "B");
+        } else {
+          link(grid[`losers:${2 * j - 2}:${position * 2}`], "winner", match, "A");
+          link(grid[`losers:${2 * j - 2}:${position * 2 + 1}`], "winner", match, "B");
+        }
+      }
+      for (let position = 0; position < count; position++) {
+        const match = add("losers", 2 * j, position);
+        link(grid[`losers:${2 * j - 1}:${position}`], "winner", match, "A");
+        // Drop-ins come in reverse order every other round to avoid immediate rematches
+        const from = j % 2 === 1 ? count - 1 - position : position;
+        link(grid[`winners:${j + 1}:${from}`], "loser", match, "B");
+      }
+    }
+
+    const grandFinal = add("final", 1, 0);
+    link(grid[`winners:${rounds}:0`], "winner", grandFinal, "A");
+    if (rounds > 1) link(grid[`losers:${2 * (rounds - 1)}:0`], "winner", grandFinal, "B");
+    else link(grid["winners:1:0"], "loser", grandFinal, "B");
+    add("final", 2, 0); // Reset, filled by reportBracketResult
+  }
+
+  // Slots that will never be filled: missing seeds, and what byes propagate
+  const byNumber = new Map(matches.map(m => [m.number, m]));
+  for (const match of matches) {
+    if (isBracketReset(match)) continue;
+    const feed = feeders.get(match.number);
+    const isEmpty = slot => {
+      if (!feed[slot]) return match[`entry${slot}`] === null;
+      const from = byNumber.get(feed[slot].number);
+      return feed[slot].kind === "winner" ? from.byeSlot === "both" : from.byeSlot !== null;
+    };
+    const emptyA = isEmpty("A");
+    const emptyB = isEmpty("B");
+    match.byeSlot = emptyA && emptyB ? "both" : emptyA ? "A" : emptyB ? "B" : null;
+  }
+
+  for (const match of matches) settleMatch(matches, match);
+  return matches;
+}
+
+function isBracketReset(match) {
+  return match.bracket === "final" && match.round === 2;
+}
+
+function placeEntry(matches, next, entryId) {
+  if (!next || entryId === null) return;
+  const match = matches.find(m => m.number === next.number);
+  match[`entry${next.slot}`] = entryId;
+  settleMatch(matches, match);
+}
+
+// Update a pending match: walkover when its opponent is a bye, ready once both entries are in
+function settleMatch(matches, match) {
+  if (match.status !== "pending") return;
+  if (match.byeSlot === "both") {
+    match.status = "void";
+  } else if (match.byeSlot && match[`entry${match.byeSlot === "A" ? "B" : "A"}`] !== null) {
+    match.status = "done";
+    match.winner = match.byeSlot === "A" ? match.entryB : match.entryA;
+    placeEntry(matches, match.winnerNext, match.winner);
+  } else if (match.entryA !== null && match.entryB !== null) {
+    match.status = "ready";
+  }
+}
+
+/**
+ * Record the result of a ready or live match and move both entries on
+ * @param {Array<Object>} matches - Whole bracket, updated in place
+ * @param {number} number - Match number
+ * @param {'A'|'B'} winnerSlot
+ */
+export function reportBracketResult(matches, number, winnerSlot) {
+  const match = matches.find(m => m.number === number);
+  match.status = "done";
+  match.winner = winnerSlot === "A" ? match.entryA : match.entryB;
+  match.loser = winnerSlot === "A" ? match.entryB : match.entryA;
+  placeEntry(matches, match.winnerNext, match.winner);
+  placeEntry(matches, match.loserNext, match.loser);
+
+  // The winners bracket side has not lost yet: a grand final it loses goes to a reset
+  const reset = matches.find(isBracketReset);
+  if (reset && match.bracket === "final" && match.round === 1) {
+    if (winnerSlot === "B") {
+      reset.entryA = match.entryA;
+      reset.entryB = match.entryB;
+      reset.status = "ready";
+    } else {
+      reset.status = "void";
+    }
+  }
+}
+
+/**
+ * Entry that won the bracket, once the last match played (the final, or the reset) is done
+ */
+export function getBracketWinner(matches) {
+  const last = [...matches].reverse().find(m => m.status !== "void");
+  return last?.status === "done" ? last.winner : null;
+}
+
+/**
+ * Display name of a round, e.g. "Winners Round 1", "Final"
+ */
+export function getRoundName(matches, bracket, round) {
+  if (bracket === "final") return round === 2 ? "Grand Final Reset" : "Grand Final";
+  const lastRound = Math.max(...matches.filter(m => m.bracket === bracket).map(m => m.round));
+  const double = matches.some(m => m.bracket === "final");
+  if (bracket === "losers") return round === lastRound ? "Losers Final" : `Losers Round ${round}`;
+  if (round === lastRound) return double ? "Winners Final" : "Final";
+  return double ? `Winners Round ${round}` : `Round ${round}`;
+}
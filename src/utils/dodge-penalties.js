@@ -0,0 +1,102 @@
+/**
+ * Dodge penalties
+ * Each dodge is logged as a sanction; repeat dodges within a rolling window get
+ * longer queue bans. Dodgers also lose points and the other players of the
+ * cancelled match are compensated.
+ */
+import { Op } from "sequelize";
+import { Sanction, User } from "../models/index.js";
+import { issueSanction } from "./sanctions.js";
+import { recordRatingChange } from "./rating-history.js";
+import { invalidateUserCache } from "./user-cache.js";
+
+const DODGE_TYPES = ['dodge', 'force-dodge'];
+// Queue ban per offence within the window: 1st, 2nd, 3rd and beyond (e.g. "30m,2h,24h")
+const DEFAULT_DODGE_BAN_STEPS = '30m,2h,24h';
+const DODGE_BAN_STEPS = parseBanSteps(process.env.DODGE_BAN_STEPS || DEFAULT_DODGE_BAN_STEPS);
+const DODGE_WINDOW = Number(process.env.DODGE_WINDOW_DAYS || 7) * 24 * 60 * 60 * 1000;
+const DODGE_POINT_PENALTY = Number(process.env.DODGE_POINT_PENALTY || 20);
+const DODGE_COMPENSATION = Number(process.env.DODGE_COMPENSATION || 5);
+
+/**
+ * Parse a duration like "30m", "2h" or "1j"/"1d"
+ * @param {string} value
+ * @returns {number|null} Duration in ms, null if the format is invalid
+ */
+export function parseDuration(value) {
+  const match = /^(\d+)(m|h|j|d)$/i.exec(value);
+  if (!match) return null;
+  const unit = { m: 60 * 1000, h: 60 * 60 * 1000, j: 24 * 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2].toLowerCase()];
+  return parseInt(match[1]) * unit;
+}
+
+// A single invalid step would give a ban that expires at once: fall back to the defaults
+function parseBanSteps(value) {
+  const steps = value.split(',').map(s => parseDuration(s.trim()));
+  if (steps.every(ms => ms > 0)) return steps;
+  console.warn(`[Dodge] Invalid DODGE_BAN_STEPS "${value}" (expected e.g. "30m,2h,24h"), using ${DEFAULT_DODGE_BAN_STEPS}`);
+  return DEFAULT_DODGE_BAN_STEPS.split(',').map(parseDuration);
+}
+
+/**
+ * Format a duration in ms as "30m", "2h" or "1d"
+ */
+export function formatDuration(ms) {
+  if (ms % (24 * 60 * 60 * 1000) === 0) return `${ms / (24 * 60 * 60 * 1000)}d`;
+  if (ms % (60 * 60 * 1000) === 0) return `${ms / (60 * 60 * 1000)}h`;
+  return `${Math.round(ms / 60000)}m`;
+}
+
+/**
+ * Log a dodge and apply the escalating penalty
+ * @param {Object} options
+ * @param {string} options.discordId - Dodger
+ * @param {string} options.type - 'dodge' or 'force-dodge'
+ * @param {number|null} options.matchId - Cancelled match
+ * @param {string} options.reason
+ * @param {string} [options.issuedBy] - Admin Discord ID for force-dodges
+ * @returns {Promise<{ offenceCount: number, durationMs: number, pointsLost: number }>}
+ */
+export async function applyDodgePenalty({ discordId, type, matchId, reason, issuedBy = null }) {
+  const previousOffences = await Sanction.count({
+    where: { discordId, type: DODGE_TYPES, createdAt: { [Op.gt]: new Date(Date.now() - DODGE_WINDOW) } }
+  });
+  const offenceCount = previousOffences + 1;
+  const durationMs = DODGE_BAN_STEPS[Math.min(offenceCount, DODGE_BAN_STEPS.length) - 1];
+
+  const user = await User.findOne({ where: { discordId } });
+  const pointsLost = user ? Math.min(DODGE_POINT_PENALTY, user.points) : 0;
+
+  const sanction = await issueSanction({ discordId, type, durationMs, reason, issuedBy });
+  await sanction.update({ matchId: matchId ?? null, pointsLost });
+
+  // Recorded even without a point loss, so every dodge shows up in /history
+  if (user) {
+    const before = user.points;
+    if (pointsLost > 0) {
+      await user.decrement({ points: pointsLost });
+      invalidateUserCache([discordId]);
+    }
+    await recordRatingChange({ userId: user.id, matchId: matchId ?? null, before, after: before - pointsLost, reason: 'dodge' });
+  }
+
+  return { offenceCount, durationMs, pointsLost };
+}
+
+/**
+ * Give the other players of a dodged match a small compensation
+ * @param {string[]} discordIds - Players who did not dodge
+ * @param {number|null} matchId - Cancelled match
+ * @returns {Promise<number>} Points given to each player
+ */
+export async function compensateDodgeVictims(discordIds, matchId) {
+  if (DODGE_COMPENSATION <= 0) return 0;
+  const users = await User.findAll({ where: { discordId: discordIds } });
+  for (const user of users) {
+    const before = user.points;
+    await user.increment({ points: DODGE_COMPENSATION });
+    await recordRatingChange({ userId: user.id, matchId: matchId ?? null, before, after: before + DODGE_COMPENSATION, reason: 'dodge-compensation' });
+  }
+  invalidateUserCache(users.map(u => u.discordId));
+  return DODGE_COMPENSATION;
+}
@@ -0,0 +1,109 @@
+/**
+ * Map veto formats
+ * A format is a comma separated list of steps: "A-ban", "B-ban", "A-pick", "B-pick"
+ * and an optional final "decider" (random map among the ones left).
+ * Picks and the decider make the match's map list, in order.
+ */
+
+export const DEFAULT_VETO_FORMAT = "A-ban,B-ban,decider";
+// Formats used when a queue has none configured: one map per game of the series
+const DEFAULT_SERIES_VETO_FORMATS = {
+  3: "A-ban,B-ban,A-pick,B-pick,decider",
+  5: "A-ban,B-ban,A-pick,B-pick,A-pick,B-pick,decider"
+};
+
+const STEP_PATTERN = /^([ab])-(ban|pick)$/i;
+
+/**
+ * Parse a veto format
+ * @param {string} format - e.g. "A-ban,B-ban,A-pick,B-pick,decider"
+ * @returns {Array<{ action: 'ban'|'pick'|'decider', side: 'A'|'B'|null }>}
+ * @throws {Error} With a message for the admin when the format is invalid
+ */
+export function parseVetoFormat(format) {
+  const tokens = format.split(",").map(t => t.trim()).filter(Boolean);
+  const steps = tokens.map((token, i) => {
+    if (token.toLowerCase() === "decider") {
+      if (i !== tokens.length - 1) throw new Error("The decider must be the last step.");
+      return { action: "decider", side: null };
+    }
+    const match = token.match(STEP_PATTERN);
+    if (!match) throw new Error(`Unknown veto step "${token}" (use A-ban, B-ban, A-pick, B-pick or decider).`);
+    return { action: match[2].toLowerCase(), side: match[1].toUpperCase() };
+  });
+  if (!steps.some(s => s.action !== "ban")) {
+    throw new Error("A veto format needs at least one pick or a decider.");
+  }
+  return steps;
+}
+
+export function formatVetoSteps(steps) {
+  return steps.map(s => (s.action === "decider" ? "decider" : `${s.side}-${s.action}`)).join(",");
+}
+
+/**
+ * Shorten a format to fit a small map pool (every step uses up one map):
+ * last bans go first, then last picks
+ * @returns {Array} Steps that can all be played with `poolSize` maps
+ */
+export function fitVetoSteps(steps, poolSize) {
+  const fitted = [...steps];
+  for (const action of ["ban", "pick", "decider"]) {
+    while (fitted.length > poolSize) {
+      const index = fitted.map(s => s.action).lastIndexOf(action);
+      if (index === -1) break;
+      fitted.splice(index, 1);
+    }
+  }
+  return fitted;
+}
+
+export function getDefaultVetoFormat(bestOf = 1) {
+  return DEFAULT_SERIES_VETO_FORMATS[bestOf] || DEFAULT_VETO_FORMAT;
+}
+
+/**
+ * Steps of a match veto: the configured format (or the default for the series length) fitted to the pool
+ * @param {string|null} format - Queue veto format, null = default
+ */
+export function getSeriesVetoSteps(format, bestOf, poolSize) {
+  return fitVetoSteps(parseVetoFormat(format || getDefaultVetoFormat(bestOf)), poolSize);
+}
+
+/**
+ * Number of maps a veto selects (picks and decider)
+ */
+export function countVetoMaps(steps) {
+  return steps.filter(s => s.action !== "ban").length;
+}
+
+export function getCurrentVetoStep(state) {
+  return state.vetoSteps[state.vetoLog.length] || null;
+}
+
+export function isVetoComplete(state) {
+  return state.vetoLog.length >= state.vetoSteps.length;
+}
+
+/**
+ * Apply the current ban or pick step to a map
+ */
+export function applyVetoAction(state, mapName) {
+  const step = getCurrentVetoStep(state);
+  state.availableMaps = state.availableMaps.filter(m => m !== mapName);
+  if (step.action === "ban") state.bannedMaps.push(mapName);
+  else state.selectedMaps.push(mapName);
+  state.vetoLog.push({ action: step.action, side: step.side, map: mapName });
+}
+
+/**
+ * Play the decider if it is next
+ */
+export function runAutomaticVetoSteps(state) {
+  const step = getCurrentVetoStep(state);
+  if (step?.action !== "decider") return;
+  const map = state.availableMaps[Math.floor(Math.random() * state.availableMaps.length)];
+  state.availableMaps = state.availableMaps.filter(m => m !== map);
+  state.selectedMaps.push(map);
+  state.vetoLog.push({ action: "decider", side: null, map });
+}
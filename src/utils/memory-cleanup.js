@@ -1,22 +1,22 @@
 /**
  * Memory cleanup service
  * Periodically removes expired data from in-memory Maps to prevent memory leaks
+ * and expires sanction rows in the database
  */
+import { expireSanctions } from "./sanctions.js";
 
 const CLEANUP_INTERVAL = 30 * 60 * 1000; // 30 minutes
 const COOLDOWN_TTL = 60 * 60 * 1000; // 1 hour
-const DODGE_BAN_DURATION = 60 * 60 * 1000; // 1 hour
 const MATCH_TTL = 12 * 60 * 60 * 1000; // 12 hours
 
 /**
  * Start periodic cleanup of expired data
  * @param {Map} buttonCooldowns - userId -> { timestamp, createdAt }
- * @param {Map} dodgeBans - userId -> { timestamp, createdAt }
  * @param {Map} matches - channelId -> matchState
  * @param {Map} voteUpdateQueues - matchId -> boolean
  */
-export function startMemoryCleanup(buttonCooldowns, dodgeBans, matches, voteUpdateQueues) {
-  setInterval(() => {
+export function startMemoryCleanup(buttonCooldowns, matches, voteUpdateQueues) {
+  setInterval(async () => {
     const now = Date.now();
     
     // Clean up button cooldowns
@@ -26,12 +26,11 @@ export function startMemoryCleanup(buttonCooldowns, dodgeBans, matches, voteUpda
       }
     }
     
-    // Clean up dodge bans
-    for (const [userId, data] of dodgeBans.entries()) {
-      if (now - data.createdAt > DODGE_BAN_DURATION + 1000) {
-        dodgeBans.delete(userId);
-      }
-    }
+    // Expire sanctions (queue bans and dodge penalties)
+    const expiredSanctions = await expireSanctions().catch(err => {
+      console.error('[Cleanup] Error expiring sanctions:', err);
+      return 0;
+    });
     
     // Clean up old match states
     for (const [channelId, state] of matches.entries()) {
@@ -41,6 +40,6 @@ export function startMemoryCleanup(buttonCooldowns, dodgeBans, matches, voteUpda
       }
     }
     
-    console.log(`[Cleanup] Cleared expired data: cooldowns=${buttonCooldowns.size}, bans=${dodgeBans.size}, matches=${matches.size}`);
+    console.log(`[Cleanup] Cleared expired data: cooldowns=${buttonCooldowns.size}, expiredSanctions=${expiredSanctions}, matches=${matches.size}`);
   }, CLEANUP_INTERVAL);
 }
@@ -0,0 +1,137 @@
+/**
+ * Player profile statistics
+ * Derived from the rating history (one 'win'/'loss' row per rated match),
+ * the match rosters and the teams' captains.
+ */
+import { Match, MatchPlayer, Team, RatingChange } from "../models/index.js";
+
+const TOP_PLAYERS_LIMIT = 3;
+
+function addResult(records, key, won) {
+  if (!records.has(key)) records.set(key, { key, wins: 0, losses: 0 });
+  records.get(key)[won ? "wins" : "losses"]++;
+}
+
+// Most played first, then best record
+function topRecords(records, limit = TOP_PLAYERS_LIMIT) {
+  return [...records.values()]
+    .sort((a, b) => (b.wins + b.losses) - (a.wins + a.losses) || b.wins - a.wins)
+    .slice(0, limit);
+}
+
+function computeStreaks(results) {
+  let best = 0;
+  let run = 0;
+  for (const won of results) {
+    run = won ? run + 1 : 0;
+    best = Math.max(best, run);
+  }
+
+  // Current streak counts back from the latest result, wins or losses
+  let current = 0;
+  const last = results[results.length - 1];
+  for (let i = results.length - 1; i >= 0 && results[i] === last; i--) current++;
+  return { current: results.length ? { won: last, count: current } : null, best };
+}
+
+/**
+ * Compute the extended profile of a player
+ * @param {User} user - User row
+ * @returns {Promise<{
+ *   streaks: { current: { won: boolean, count: number }|null, best: number },
+ *   peakPoints: number,
+ *   timeline: number[],
+ *   maps: Array<{ key: string, wins: number, losses: number }>,
+ *   teammates: Array<{ key: string, wins: number, losses: number }>,
+ *   opponents: Array<{ key: string, wins: number, losses: number }>,
+ *   captain: { wins: number, losses: number }
+ * }>} Timeline lists the points after each change (oldest first), records are keyed by map name or Discord ID
+ */
+export async function getPlayerProfile(user) {
+  const changes = await RatingChange.findAll({
+    where: { userId: user.id },
+    attributes: ["matchId", "reason", "before", "after"],
+    order: [["createdAt", "ASC"], ["id", "ASC"]],
+    raw: true
+  });
+
+  const peakPoints = changes.reduce((peak, change) => Math.max(peak, change.after), user.points);
+  const timeline = changes.length ? [changes[0].before, ...changes.map(c => c.after)] : [];
+
+  const rated = changes.filter(c => c.matchId && (c.reason === "win" || c.reason === "loss"));
+  const wonByMatch = new Map(rated.map(c => [c.matchId, c.reason === "win"]));
+  const streaks = computeStreaks(rated.map(c => c.reason === "win"));
+  const matchIds = [...wonByMatch.keys()];
+
+  const profile = { streaks, peakPoints, timeline, maps: [], teammates: [], opponents: [], captain: { wins: 0, losses: 0 } };
+  if (matchIds.length === 0) return profile;
+
+  const [matches, players, captainTeams] = await Promise.all([
+    Match.findAll({ where: { id: matchIds }, attributes: ["id", "mapName"], raw: true }),
+    MatchPlayer.findAll({ where: { matchId: matchIds }, attributes: ["matchId", "discordId", "teamId"], raw: true }),
+    Team.findAll({ where: { matchId: matchIds, captainDiscordId: user.discordId }, attributes: ["matchId"], raw: true })
+  ]);
+
+  const maps = new Map();
+  for (const match of matches) {
+    if (match.mapName) addResult(maps, match.mapName, wonByMatch.get(match.id));
+  }
+
+  const myTeamByMatch = new Map(players.filter(p => p.discordId === user.discordId).map(p => [p.matchId, p.teamId]));
+  const teammates = new Map();
+  const opponents = new Map();
+  for (const player of players) {
+    const myTeamId = myTeamByMatch.get(player.matchId);
+    if (player.discordId === user.discordId || !myTeamId || !player.teamId) continue;
+    addResult(player.teamId === myTeamId ? teammates : opponents, player.discordId, wonByMatch.get(player.matchId));
+  }
+
+  for (const team of captainTeams) {
+    profile.captain[wonByMatch.get(team.matchId) ? "wins" : "losses"]++;
+  }
+
+  profile.maps = [...maps.values()].sort((a, b) => (b.wins + b.losses) - (a.wins + a.losses));
+  profile.teammates = topRecords(teammates);
+  profile.opponents = topRecords(opponents);
+  return profile;
+}
+
+/**
+ * Head-to-head record of two players over finalized matches
+ * @param {string} discordIdA
+ * @param {string} discordIdB
+ * @returns {Promise<{
+ *   together: { wins: number, losses: number },
+ *   against: { winsA: number, winsB: number },
+ *   maps: Array<{ key: string, games: number }>
+ * }>} Wins/losses "together" are the shared team's, maps cover every shared match
+ */
+export async function getHeadToHead(discordIdA, discordIdB) {
+  const rows = await MatchPlayer.findAll({
+    where: { discordId: [discordIdA, discordIdB] },
+    attributes: ["matchId", "discordId", "teamId"],
+    include: [{ model: Match, where: { status: "done" }, attributes: ["winnerTeamId", "mapName"] }]
+  });
+
+  const byMatch = new Map();
+  for (const row of rows) {
+    if (!row.teamId || !row.Match?.winnerTeamId) continue;
+    if (!byMatch.has(row.matchId)) byMatch.set(row.matchId, { match: row.Match, teams: {} });
+    byMatch.get(row.matchId).teams[row.discordId] = row.teamId;
+  }
+
+  const result = { together: { wins: 0, losses: 0 }, against: { winsA: 0, winsB: 0 }, maps: [] };
+  const maps = new Map();
+  for (const { match, teams } of byMatch.values()) {
+    const teamA = teams[discordIdA];
+    const teamB = teams[discordIdB];
+    if (!teamA || !teamB) continue;
+
+    if (teamA === teamB) result.together[match.winnerTeamId === teamA ? "wins" : "losses"]++;
+    else result.against[match.winnerTeamId === teamA ? "winsA" : "winsB"]++;
+    if (match.mapName) maps.set(match.mapName, (maps.get(match.mapName) || 0) + 1);
+  }
+
+  result.maps = [...maps.entries()].map(([key, games]) => ({ key, games })).sort((a, b) => b.games - a.games);
+  return result;
+}
@@ -0,0 +1,95 @@
+/**
+ * Rating chart
+ * Renders a player's points over time as a PNG line chart, with the rank bands shaded behind it.
+ * Drawn locally with @napi-rs/canvas, no external chart service involved.
+ */
+import { createCanvas } from "@napi-rs/canvas";
+import { RANK_SYSTEM } from "../queue.js";
+
+const WIDTH = 800;
+const HEIGHT = 360;
+const PADDING = { top: 40, right: 24, bottom: 32, left: 56 };
+const Y_MARGIN = 50; // Points of headroom above and below the curve
+const FONT = "13px sans-serif";
+
+const RANK_COLORS = {
+  'Bronze': "rgba(205, 127, 50, 0.18)",
+  'Silver': "rgba(192, 192, 192, 0.18)",
+  'Gold': "rgba(255, 215, 0, 0.18)",
+  'Platinium': "rgba(64, 224, 208, 0.18)",
+  'Diamond': "rgba(100, 149, 237, 0.18)",
+  'Supersonic': "rgba(218, 112, 214, 0.18)"
+};
+
+/**
+ * Render the rating chart
+ * @param {number[]} timeline - Points after each change, oldest first (at least 2 values)
+ * @param {string} title - Text drawn above the chart
+ * @returns {Promise<Buffer>} PNG image
+ */
+export async function renderRatingChart(timeline, title) {
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const ctx = canvas.getContext("2d");
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const minY = Math.max(0, Math.min(...timeline) - Y_MARGIN);
+  const maxY = Math.max(...timeline) + Y_MARGIN;
+  const x = i => PADDING.left + (timeline.length === 1 ? 0 : (i / (timeline.length - 1)) * plotWidth);
+  const y = points => PADDING.top + (1 - (points - minY) / (maxY - minY)) * plotHeight;
+
+  ctx.fillStyle = "#2b2d31";
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  // Rank bands clipped to the visible range
+  ctx.font = FONT;
+  ctx.textBaseline = "middle";
+  for (const [rank, range] of Object.entries(RANK_SYSTEM)) {
+    const bandMin = Math.max(range.min, minY);
+    const bandMax = Math.min(range.max + 1, maxY);
+    if (bandMin >= bandMax) continue;
+    ctx.fillStyle = RANK_COLORS[rank] || "rgba(255, 255, 255, 0.08)";
+    ctx.fillRect(PADDING.left, y(bandMax), plotWidth, y(bandMin) - y(bandMax));
+    ctx.fillStyle = "rgba(255, 255, 255, 0.55)";
+    ctx.textAlign = "right";
+    ctx.fillText(rank, WIDTH - PADDING.right - 6, (y(bandMin) + y(bandMax)) / 2);
+  }
+
+  // Horizontal grid with point labels
+  const step = Math.max(50, Math.ceil((maxY - minY) / 6 / 50) * 50);
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.1)";
+  ctx.lineWidth = 1;
+  ctx.fillStyle = "#b5bac1";
+  ctx.textAlign = "right";
+  for (let value = Math.ceil(minY / step) * step; value <= maxY; value += step) {
+    ctx.beginPath();
+    ctx.moveTo(PADDING.left, y(value));
+    ctx.lineTo(WIDTH - PADDING.right, y(value));
+    ctx.stroke();
+    ctx.fillText(String(value), PADDING.left - 8, y(value));
+  }
+
+  // Rating line
+  ctx.strokeStyle = "#5865f2";
+  ctx.lineWidth = 3;
+  ctx.lineJoin = "round";
+  ctx.beginPath();
+  timeline.forEach((points, i) => (i === 0 ? ctx.moveTo(x(i), y(points)) : ctx.lineTo(x(i), y(points))));
+  ctx.stroke();
+
+  const last = timeline.length - 1;
+  ctx.fillStyle = "#ffffff";
+  ctx.beginPath();
+  ctx.arc(x(last), y(timeline[last]), 4, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.font = "bold 16px sans-serif";
+  ctx.textAlign = "left";
+  ctx.fillText(title, PADDING.left, PADDING.top / 2);
+  ctx.font = FONT;
+  ctx.fillStyle = "#b5bac1";
+  ctx.textAlign = "center";
+  ctx.fillText(`${timeline.length - 1} rating change(s)`, PADDING.left + plotWidth / 2, HEIGHT - PADDING.bottom / 2);
+
+  return canvas.encode("png");
+}
@@ -0,0 +1,18 @@
+import { RatingChange } from "../models/index.js";
+
+/**
+ * Record a point change in the rating history (errors are logged, never thrown)
+ * @param {Object} change
+ * @param {number} change.userId - User primary key (not the Discord ID)
+ * @param {number} change.before - Points before the change
+ * @param {number} change.after - Points after the change
+ * @param {string} change.reason - 'win', 'loss', 'dodge', 'dodge-compensation', 'admin-edit' or 'season-reset'
+ * @param {number|null} [change.matchId] - Match the change comes from, if any
+ */
+export async function recordRatingChange({ userId, before, after, reason, matchId = null }) {
+  try {
+    await RatingChange.create({ userId, matchId, before, after, delta: after - before, reason });
+  } catch (err) {
+    console.error('Error recording rating change:', err);
+  }
+}
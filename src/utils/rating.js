@@ -0,0 +1,209 @@
+/**
+ * Rating engines
+ * Compute per-player point changes for a finished match from the team rating averages.
+ * The engine is picked with RATING_ENGINE ("elo" or "glicko2", default "elo").
+ */
+
+const DEFAULT_RATING = 1000;
+
+// Elo: K-factor shrinks as a player accumulates games
+const ELO_K_PROVISIONAL = Number(process.env.ELO_K_PROVISIONAL || 40); // < 10 games
+const ELO_K_ESTABLISHED = Number(process.env.ELO_K_ESTABLISHED || 32); // < 30 games
+const ELO_K_VETERAN = Number(process.env.ELO_K_VETERAN || 24); // 30+ games
+
+// Glicko-2 system constants
+const GLICKO_SCALE = 173.7178;
+const GLICKO_TAU = 0.5;
+const GLICKO_EPSILON = 0.000001;
+const GLICKO_DEFAULT_RD = 350;
+const GLICKO_MIN_RD = 30;
+const GLICKO_VETERAN_RD = 60; // Starting deviation of players with GLICKO_RD_SEED_GAMES games or more
+const GLICKO_RD_SEED_GAMES = 29; // Deviation shrinks by 10 per game played before glicko2 was used
+const GLICKO_MAX_DELTA = Number(process.env.GLICKO_MAX_DELTA || 100); // Points won or lost per match at most
+const GLICKO_DEFAULT_VOLATILITY = 0.06;
+
+function average(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : DEFAULT_RATING;
+}
+
+function getEloKFactor(gamesPlayed) {
+  if (gamesPlayed < 10) return ELO_K_PROVISIONAL;
+  if (gamesPlayed < 30) return ELO_K_ESTABLISHED;
+  return ELO_K_VETERAN;
+}
+
+const eloEngine = {
+  name: 'elo',
+  /**
+   * @param {Object} player - { points, gamesPlayed }
+   * @param {Object} team - { rating } average of the player's team
+   * @param {Object} opponents - { rating } average of the opposing team
+   * @param {number} score - 1 for a win, 0 for a loss
+   */
+  rate(player, team, opponents, score) {
+    const expected = 1 / (1 + Math.pow(10, (opponents.rating - team.rating) / 400));
+    const delta = Math.round(getEloKFactor(player.gamesPlayed) * (score - expected));
+    return { delta };
+  }
+};
+
+function glickoG(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+// Illinois iteration for the new volatility (step 5 of the Glicko-2 paper)
+function glickoVolatility(phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma);
+  const f = x => {
+    const ex = Math.exp(x);
+    const denom = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denom * denom) - (x - a) / (GLICKO_TAU * GLICKO_TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * GLICKO_TAU) < 0) k++;
+    B = a - k * GLICKO_TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > GLICKO_EPSILON) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+}
+
+const glicko2Engine = {
+  name: 'glicko2',
+  /**
+   * The team is rated as one player (average rating, combined deviation) and every
+   * member moves by the team's change; each player's own deviation only shrinks
+   * @param {Object} player - { points, ratingDeviation, volatility }
+   * @param {Object} team - { rating, ratingDeviation } averages of the player's team
+   * @param {Object} opponents - { rating, ratingDeviation } averages of the opposing team
+   * @param {number} score - 1 for a win, 0 for a loss
+   */
+  rate(player, team, opponents, score) {
+    const mu = (team.rating - DEFAULT_RATING) / GLICKO_SCALE;
+    const phi = (player.ratingDeviation || GLICKO_DEFAULT_RD) / GLICKO_SCALE;
+    const phiTeam = (team.ratingDeviation || GLICKO_DEFAULT_RD) / GLICKO_SCALE;
+    const sigma = player.volatility || GLICKO_DEFAULT_VOLATILITY;
+    const muOpp = (opponents.rating - DEFAULT_RATING) / GLICKO_SCALE;
+    const phiOpp = (opponents.ratingDeviation || GLICKO_DEFAULT_RD) / GLICKO_SCALE;
+
+    const g = glickoG(phiOpp);
+    const expected = 1 / (1 + Math.exp(-g * (mu - muOpp)));
+    const v = 1 / (g * g * expected * (1 - expected));
+    const improvement = v * g * (score - expected);
+
+    const newSigma = glickoVolatility(phi, sigma, improvement, v);
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const teamPhiStar = Math.sqrt(phiTeam * phiTeam + newSigma * newSigma);
+    const newTeamPhi = 1 / Math.sqrt(1 / (teamPhiStar * teamPhiStar) + 1 / v);
+    const muChange = newTeamPhi * newTeamPhi * g * (score - expected);
+    const delta = Math.round(muChange * GLICKO_SCALE);
+
+    return {
+      delta: Math.max(-GLICKO_MAX_DELTA, Math.min(GLICKO_MAX_DELTA, delta)),
+      ratingDeviation: Math.min(GLICKO_DEFAULT_RD, Math.max(GLICKO_MIN_RD, newPhi * GLICKO_SCALE)),
+      volatility: newSigma
+    };
+  }
+};
+
+const ENGINES = {
+  [eloEngine.name]: eloEngine,
+  [glicko2Engine.name]: glicko2Engine
+};
+
+/**
+ * Rating deviation after a season soft reset: moves `factor` of the way back to the
+ * default, so ratings carried over from last season settle faster again
+ */
+export function softResetRatingDeviation(ratingDeviation, factor) {
+  const rd = ratingDeviation ?? GLICKO_DEFAULT_RD;
+  return Math.min(GLICKO_DEFAULT_RD, Math.max(GLICKO_MIN_RD, rd + (GLICKO_DEFAULT_RD - rd) * factor));
+}
+
+/**
+ * Starting rating deviation of a player who has not been rated by glicko2 yet: players
+ * with games from before the switch start close to settled instead of at the default
+ */
+export function getInitialRatingDeviation(gamesPlayed) {
+  return Math.max(GLICKO_VETERAN_RD, GLICKO_DEFAULT_RD - (GLICKO_DEFAULT_RD - GLICKO_VETERAN_RD) * Math.min(gamesPlayed, GLICKO_RD_SEED_GAMES) / GLICKO_RD_SEED_GAMES);
+}
+
+/**
+ * Get a rating engine by name (falls back to Elo)
+ * @param {string} [name] - Engine name, defaults to RATING_ENGINE
+ */
+export function getRatingEngine(name = process.env.RATING_ENGINE) {
+  return ENGINES[(name || '').toLowerCase()] || eloEngine;
+}
+
+function toRatingInput(user, discordId) {
+  const gamesPlayed = (user?.wins || 0) + (user?.losses || 0);
+  // Deviation still at the default: never rated by glicko2, seed it from the games played
+  const ratingDeviation = user?.ratingDeviation ?? GLICKO_DEFAULT_RD;
+  return {
+    discordId,
+    points: user?.points ?? DEFAULT_RATING,
+    gamesPlayed,
+    ratingDeviation: ratingDeviation >= GLICKO_DEFAULT_RD ? getInitialRatingDeviation(gamesPlayed) : ratingDeviation,
+    volatility: user?.volatility ?? GLICKO_DEFAULT_VOLATILITY
+  };
+}
+
+/**
+ * Compute rating changes for every player of a finished match
+ * @param {string[]} winnerIds - Discord IDs of the winning team
+ * @param {string[]} loserIds - Discord IDs of the losing team
+ * @param {Map<string, User>} usersById - discordId -> User row (missing players rate as 1000)
+ * @param {Object} [engine] - Rating engine, defaults to getRatingEngine()
+ * @returns {Map<string, { before, after, delta, ratingDeviation, volatility }>}
+ */
+export function computeMatchRatings(winnerIds, loserIds, usersById, engine = getRatingEngine()) {
+  const winners = winnerIds.map(id => toRatingInput(usersById.get(id), id));
+  const losers = loserIds.map(id => toRatingInput(usersById.get(id), id));
+
+  const summarize = players => ({
+    rating: average(players.map(p => p.points)),
+    ratingDeviation: Math.sqrt(average(players.map(p => p.ratingDeviation * p.ratingDeviation)))
+  });
+  const winnerTeam = summarize(winners);
+  const loserTeam = summarize(losers);
+
+  const results = new Map();
+  const apply = (player, team, opponents, score) => {
+    const rated = engine.rate(player, team, opponents, score);
+    // Points cannot go negative (User model validation)
+    const delta = Math.max(rated.delta, -player.points) || 0;
+    results.set(player.discordId, {
+      before: player.points,
+      after: player.points + delta,
+      delta,
+      // Engines without a deviation (Elo) leave the stored one untouched
+      ratingDeviation: rated.ratingDeviation ?? usersById.get(player.discordId)?.ratingDeviation ?? GLICKO_DEFAULT_RD,
+      volatility: rated.volatility ?? player.volatility
+    });
+  };
+
+  for (const player of winners) apply(player, winnerTeam, loserTeam, 1);
+  for (const player of losers) apply(player, loserTeam, winnerTeam, 0);
+  return results;
+}
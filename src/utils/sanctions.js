@@ -0,0 +1,59 @@
+import { Op } from "sequelize";
+import { Sanction } from "../models/index.js";
+
+/**
+ * Issue a queue sanction (admin ban or dodge penalty)
+ * @param {Object} options
+ * @param {string} options.discordId - Sanctioned player
+ * @param {string} options.type - 'ban', 'dodge', 'force-dodge' or 'afk'
+ * @param {number} options.durationMs - Sanction duration
+ * @param {string} [options.reason]
+ * @param {string} [options.issuedBy] - Discord ID of the admin, if any
+ * @returns {Promise<Sanction>}
+ */
+export async function issueSanction({ discordId, type, durationMs, reason = null, issuedBy = null }) {
+  return Sanction.create({
+    discordId,
+    type,
+    reason,
+    issuedBy,
+    expiresAt: new Date(Date.now() + durationMs)
+  });
+}
+
+/**
+ * Get the active sanction that expires last for a player
+ * @param {string} discordId - Discord user ID
+ * @returns {Promise<Sanction|null>}
+ */
+export async function getActiveSanction(discordId) {
+  return Sanction.findOne({
+    where: { discordId, active: true, expiresAt: { [Op.gt]: new Date() } },
+    order: [['expiresAt', 'DESC']]
+  });
+}
+
+/**
+ * Lift every active sanction of a player
+ * @param {string} discordId - Discord user ID
+ * @returns {Promise<number>} Number of sanctions lifted
+ */
+export async function liftSanctions(discordId) {
+  const [count] = await Sanction.update(
+    { active: false },
+    { where: { discordId, active: true, expiresAt: { [Op.gt]: new Date() } } }
+  );
+  return count;
+}
+
+/**
+ * Mark expired sanctions as inactive (rows are kept as offence history)
+ * @returns {Promise<number>} Number of sanctions expired
+ */
+export async function expireSanctions() {
+  const [count] = await Sanction.update(
+    { active: false },
+    { where: { active: true, expiresAt: { [Op.lte]: new Date() } } }
+  );
+  return count;
+}
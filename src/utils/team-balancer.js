@@ -0,0 +1,105 @@
+/**
+ * Team balancer
+ * Splits a lobby into two teams with the smallest rating difference, keeping parties
+ * together and optionally penalizing players who were recently teammates
+ */
+import { Match, MatchPlayer } from "../models/index.js";
+
+const RECENT_MATCHES_PER_PLAYER = 5;
+const RECENT_TEAMMATE_PENALTY = 25; // Rating points added to the cost per recent shared match
+const SPLIT_PARTY_PENALTY = 10000; // Above any rating difference: parties are only split when they cannot fit
+
+function pairKey(a, b) {
+  return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+// All combinations of `size` elements from `items`
+function combinations(items, size, start = 0, current = [], result = []) {
+  if (current.length === size) {
+    result.push([...current]);
+    return result;
+  }
+  for (let i = start; i <= items.length - (size - current.length); i++) {
+    current.push(items[i]);
+    combinations(items, size, i + 1, current, result);
+    current.pop();
+  }
+  return result;
+}
+
+/**
+ * Count how many recent matches each pair of players spent on the same team, looking at
+ * the last RECENT_MATCHES_PER_PLAYER finished matches of each player
+ * @param {string[]} playerIds - Discord IDs of the lobby
+ * @returns {Promise<Map<string, number>>} pairKey -> shared matches
+ */
+export async function getRecentTeammateCounts(playerIds) {
+  const recent = await Promise.all(playerIds.map(discordId => MatchPlayer.findAll({
+    where: { discordId },
+    include: [{ model: Match, where: { status: 'done' }, attributes: [] }],
+    order: [['matchId', 'DESC']],
+    limit: RECENT_MATCHES_PER_PLAYER
+  }).catch(() => [])));
+  const matchIds = [...new Set(recent.flat().map(row => row.matchId))];
+  if (matchIds.length === 0) return new Map();
+
+  const rows = await MatchPlayer.findAll({ where: { matchId: matchIds, discordId: playerIds } }).catch(() => []);
+
+  const playersByTeam = new Map(); // teamId -> discordIds
+  for (const row of rows) {
+    if (!row.teamId) continue;
+    if (!playersByTeam.has(row.teamId)) playersByTeam.set(row.teamId, []);
+    playersByTeam.get(row.teamId).push(row.discordId);
+  }
+
+  const counts = new Map();
+  for (const members of playersByTeam.values()) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const key = pairKey(members[i], members[j]);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Find the split of the lobby into two equal teams that minimizes the rating difference
+ * @param {string[]} playerIds - Discord IDs (even count)
+ * @param {Map<string, number>} pointsById - discordId -> points (missing players count as 1000)
+ * @param {Map<string, number>} [teammateCounts] - Result of getRecentTeammateCounts
+ * @param {string[][]} [parties] - Groups of players to keep on the same team
+ * @returns {{ teamA: string[], teamB: string[], difference: number }}
+ */
+export function findBalancedTeams(playerIds, pointsById, teammateCounts = null, parties = []) {
+  const points = id => pointsById.get(id) ?? 1000;
+  const teamSize = playerIds.length / 2;
+  const total = playerIds.reduce((sum, id) => sum + points(id), 0);
+
+  const teamPenalty = team => {
+    if (!teammateCounts) return 0;
+    let penalty = 0;
+    for (let i = 0; i < team.length; i++) {
+      for (let j = i + 1; j < team.length; j++) {
+        penalty += (teammateCounts.get(pairKey(team[i], team[j])) || 0) * RECENT_TEAMMATE_PENALTY;
+      }
+    }
+    return penalty;
+  };
+  const splitPenalty = team => parties.filter(p => p.some(id => team.includes(id)) && !p.every(id => team.includes(id))).length * SPLIT_PARTY_PENALTY;
+
+  // Fix the first player in team A so each split is only evaluated once
+  const [first, ...rest] = playerIds;
+  let best = null;
+  for (const others of combinations(rest, teamSize - 1)) {
+    const teamA = [first, ...others];
+    const teamB = playerIds.filter(id => !teamA.includes(id));
+    const sumA = teamA.reduce((sum, id) => sum + points(id), 0);
+    const difference = Math.abs(2 * sumA - total) / teamSize;
+    const cost = difference + teamPenalty(teamA) + teamPenalty(teamB) + splitPenalty(teamA);
+    if (!best || cost < best.cost) best = { teamA, teamB, difference, cost };
+  }
+
+  return { teamA: best.teamA, teamB: best.teamB, difference: Math.round(best.difference) };
+}